@@ -1,27 +1,66 @@
 /* script.js - Full client-side music app prototype
    - Uses IndexedDB for binaries (audio, images)
-   - Uses localStorage for JSON metadata
+   - Uses IndexedDB object stores for metadata (migrated once from localStorage)
    - Robust defensive code, modular rendering, persistent player
 */
 
 /* ---------------------------
-   IndexedDB helper (blobs store)
+   IndexedDB helper (blobs store + metadata stores)
    --------------------------- */
 const DB_NAME = 'music_client_db_v1';
 const DB_STORE = 'assets';
+const DB_VERSION = 2;
 let idbPromise = null;
+let legacyMetaMigrated = false;
+
+// MIGRATIONS[v] upgrades a database from version v-1 to v; each runs exactly once per browser
+const MIGRATIONS = {
+  1: (db) => {
+    if (!db.objectStoreNames.contains(DB_STORE)) db.createObjectStore(DB_STORE, { keyPath: 'id' });
+  },
+  2: (db, tx) => {
+    const users = db.createObjectStore('users', { keyPath: 'id' });
+    users.createIndex('username', 'username', { unique: true });
+    const songs = db.createObjectStore('songs', { keyPath: 'id' });
+    songs.createIndex('artist', 'artist'); songs.createIndex('genre', 'genre'); songs.createIndex('album', 'albumId');
+    db.createObjectStore('albums', { keyPath: 'id' }).createIndex('artist', 'artist');
+    db.createObjectStore('playlists', { keyPath: 'id' }).createIndex('owner', 'owner');
+    db.createObjectStore('likes', { keyPath: 'songId' });
+    const plays = db.createObjectStore('plays', { keyPath: 'id' });
+    plays.createIndex('song', 'songId'); plays.createIndex('user', 'user');
+    db.createObjectStore('kv', { keyPath: 'key' });
+    // one-time import of the old single-key localStorage blob
+    let legacy = null;
+    try { legacy = localStorage.getItem(META_KEY); } catch (e) { console.warn('legacy meta read', e); }
+    if (!legacy) return;
+    try {
+      const meta = normalizeMeta(JSON.parse(legacy));
+      // the users store has a unique username index; a duplicate would fail its put and abort the whole upgrade
+      const seen = new Set();
+      meta.users = meta.users.filter(u=> !seen.has(u.username) && seen.add(u.username));
+      Object.entries(metaRows(meta)).forEach(([store, map])=> map.forEach(json=> {
+        const req = tx.objectStore(store).put(JSON.parse(json));
+        req.onerror = (e)=> { e.preventDefault(); console.warn('legacy meta row skipped', store, req.error); };
+      }));
+      tx.objectStore('kv').put({ key: 'migratedFrom', value: { source: META_KEY, at: Date.now() } });
+      legacyMetaMigrated = true;
+    } catch (e) { console.warn('legacy meta import failed', e); }
+  }
+};
 
 function openDB() {
   if (idbPromise) return idbPromise;
   idbPromise = new Promise((resolve, reject) => {
-    const r = indexedDB.open(DB_NAME, 1);
+    const r = indexedDB.open(DB_NAME, DB_VERSION);
     r.onupgradeneeded = (ev) => {
       const db = ev.target.result;
-      if (!db.objectStoreNames.contains(DB_STORE)) {
-        db.createObjectStore(DB_STORE, { keyPath: 'id' });
-      }
+      for (let v = ev.oldVersion + 1; v <= DB_VERSION; v++) MIGRATIONS[v](db, r.transaction);
+    };
+    r.onsuccess = () => {
+      // the upgrade transaction has committed, so the old copy is no longer needed
+      if (legacyMetaMigrated) { try { localStorage.removeItem(META_KEY); } catch (e) { /* ignore */ } }
+      resolve(r.result);
     };
-    r.onsuccess = () => resolve(r.result);
     r.onerror = () => reject(r.error);
   });
   return idbPromise;
@@ -32,7 +71,7 @@ async function idbPut(id, blob) {
   return new Promise((res, rej) => {
     const tx = db.transaction(DB_STORE, 'readwrite');
     const store = tx.objectStore(DB_STORE);
-    store.put({ id, blob });
+    store.put({ id, blob, at: Date.now() }); // at: lets storage cleanup spare writes whose metadata is not saved yet
     tx.oncomplete = () => res(true);
     tx.onerror = (e) => rej(e);
   });
@@ -60,34 +99,151 @@ async function idbDelete(id) {
   });
 }
 
+async function idbAll() {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(DB_STORE, 'readonly');
+    const req = tx.objectStore(DB_STORE).getAll();
+    req.onsuccess = () => res(req.result || []);
+    req.onerror = (e) => rej(e);
+  });
+}
+
+async function idbClear() {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(DB_STORE, 'readwrite');
+    tx.objectStore(DB_STORE).clear();
+    tx.oncomplete = () => res(true);
+    tx.onerror = (e) => rej(e);
+  });
+}
+
 /* ---------------------------
-   localStorage metadata helpers
+   Metadata persistence: one object store per collection, the rest in 'kv'.
+   state.meta stays the in-memory source of truth; saveMeta writes only what changed.
    --------------------------- */
-const META_KEY = 'music_app_meta_v1';
+const META_KEY = 'music_app_meta_v1'; // legacy localStorage key, imported by migration 2
+const META_STORES = { users: 'id', songs: 'id', albums: 'id', playlists: 'id', plays: 'id' };
+const KV_STORE = 'kv';
+const LIKES_STORE = 'likes';
+let persistedRows = null; // store -> Map(key -> JSON) as last written
+// plays grow without bound, so they are diffed by record identity instead of JSON; edit a stored play in place only through touchPlay
+const PLAYS_STORE = 'plays';
+let persistedPlays = null; // id -> play record as last written
+const dirtyPlays = new Set(); // ids of plays edited in place since the last write
+let metaSaveQueued = null;
+let metaSaveChain = Promise.resolve();
+
+function touchPlay(rec) { dirtyPlays.add(rec.id); }
+
+// store -> Map(key -> JSON) describing how a meta object is laid out in IndexedDB
+function metaRows(meta, { plays = true } = {}) {
+  const rows = {};
+  Object.entries(META_STORES).forEach(([store, keyPath])=> {
+    if (store === PLAYS_STORE && !plays) return;
+    rows[store] = new Map((meta[store] || []).map(item=> [item[keyPath], JSON.stringify(item)]));
+  });
+  rows[LIKES_STORE] = new Map(Object.entries(meta.likes || {}).map(([songId, users])=> [songId, JSON.stringify({ songId, users })]));
+  rows[KV_STORE] = new Map(Object.keys(meta).filter(k=> !(k in META_STORES) && k !== 'likes')
+    .map(k=> [k, JSON.stringify({ key: k, value: meta[k] })]));
+  return rows;
+}
 
-function loadMeta() {
+async function loadMeta() {
   try {
-    const raw = localStorage.getItem(META_KEY);
-    if (!raw) return defaultMeta();
-    const parsed = JSON.parse(raw);
-    // Basic validation & migrations
-    if (!parsed.users) parsed.users = [];
-    if (!parsed.songs) parsed.songs = [];
-    if (!parsed.playlists) parsed.playlists = [];
-    if (!parsed.albums) parsed.albums = [];
-    if (!parsed.likes) parsed.likes = {};
-    if (!parsed.followers) parsed.followers = {};
-    return parsed;
+    const db = await openDB();
+    const stores = [...Object.keys(META_STORES), LIKES_STORE, KV_STORE];
+    const tx = db.transaction(stores, 'readonly');
+    const all = await Promise.all(stores.map(name=> new Promise((res, rej)=> {
+      const req = tx.objectStore(name).getAll();
+      req.onsuccess = () => res([name, req.result || []]);
+      req.onerror = (e) => rej(e);
+    })));
+    const meta = {};
+    persistedRows = {};
+    all.forEach(([name, records])=> {
+      if (name === PLAYS_STORE) { meta.plays = records; persistedPlays = new Map(records.map(r=> [r.id, r])); return; }
+      const keyOf = name === KV_STORE ? (r=>r.key) : name === LIKES_STORE ? (r=>r.songId) : (r=>r[META_STORES[name]]);
+      persistedRows[name] = new Map(records.map(r=> [keyOf(r), JSON.stringify(r)]));
+      if (name === KV_STORE) records.forEach(r=> { if (r.key !== 'migratedFrom') meta[r.key] = r.value; });
+      else if (name === LIKES_STORE) meta.likes = Object.fromEntries(records.map(r=> [r.songId, r.users]));
+      else meta[name] = records;
+    });
+    persistedRows[KV_STORE].delete('migratedFrom'); // bookkeeping record, never rewritten
+    return normalizeMeta(meta);
   } catch (e) {
     console.warn('meta load error', e);
-    const m = defaultMeta();
-    saveMeta(m);
-    return m;
+    return defaultMeta();
   }
 }
 
+async function persistMeta(meta) {
+  const db = await openDB();
+  const rows = metaRows(meta, { plays: false });
+  const prev = persistedRows || {};
+  const stores = Object.keys(rows);
+  const tx = db.transaction([...stores, PLAYS_STORE], 'readwrite');
+  let writes = 0;
+  stores.forEach(name=> {
+    const store = tx.objectStore(name);
+    const before = prev[name] || new Map();
+    rows[name].forEach((json, key)=> { if (before.get(key) !== json) { store.put(JSON.parse(json)); writes++; } });
+    before.forEach((_, key)=> { if (!rows[name].has(key)) { store.delete(key); writes++; } });
+  });
+  const plays = new Map(meta.plays.map(p=> [p.id, p]));
+  const playsBefore = persistedPlays || new Map();
+  const dirty = new Set(dirtyPlays); dirtyPlays.clear();
+  const playStore = tx.objectStore(PLAYS_STORE);
+  plays.forEach((p, id)=> { if (playsBefore.get(id) !== p || dirty.has(id)) { playStore.put(p); writes++; } });
+  playsBefore.forEach((_, id)=> { if (!plays.has(id)) { playStore.delete(id); writes++; } });
+  try {
+    await new Promise((res, rej)=> { tx.oncomplete = res; tx.onerror = () => rej(tx.error); tx.onabort = () => rej(tx.error); });
+  } catch (e) { dirty.forEach(id=> dirtyPlays.add(id)); throw e; }
+  persistedRows = rows;
+  persistedPlays = plays;
+  return writes;
+}
+
+// Coalesces every saveMeta call made in the same tick into one transaction
 function saveMeta(meta) {
-  localStorage.setItem(META_KEY, JSON.stringify(meta));
+  const pending = !!metaSaveQueued;
+  metaSaveQueued = meta;
+  if (pending) return metaSaveChain;
+  metaSaveChain = metaSaveChain.then(()=> new Promise(r=> queueMicrotask(r))).then(()=> {
+    const m = metaSaveQueued; metaSaveQueued = null;
+    return persistMeta(m);
+  }).catch(e=> { console.error('meta save error', e); toast('Saving failed'); });
+  return metaSaveChain;
+}
+
+// Basic validation & migrations; shared by loading and library import
+function normalizeMeta(parsed) {
+  if (!parsed || typeof parsed !== 'object') throw new Error('Invalid metadata');
+  if (!parsed.users) parsed.users = [];
+  if (!parsed.songs) parsed.songs = [];
+  if (!parsed.playlists) parsed.playlists = [];
+  if (!parsed.albums) parsed.albums = [];
+  if (!parsed.likes) parsed.likes = {};
+  if (!parsed.dislikes) parsed.dislikes = {};
+  if (!parsed.followers) parsed.followers = {};
+  if (!parsed.sessions) parsed.sessions = {};
+  parsed.songs.forEach(s=> { if (!s.ratings) s.ratings = {}; });
+  parsed.playlists.forEach(p=> {
+    // tracks used to be bare song ids; they now record who added them and when
+    p.tracks = (p.tracks||[]).map(t=> typeof t === 'string' ? { songId: t, addedBy: p.owner, addedAt: p.createdAt || Date.now() } : t);
+    if (!Array.isArray(p.sharedWith)) p.sharedWith = [];
+    if (p.collaborative === undefined) p.collaborative = false;
+  });
+  delete parsed.recentlyPlayed; // global list, replaced by each user's play history
+  if (!Array.isArray(parsed.plays)) parsed.plays = [];
+  parsed.plays.sort((a, b)=> a.at - b.at); // the store hands them back in id order, history wants time order
+  if (!Array.isArray(parsed.reports)) parsed.reports = [];
+  if (!Array.isArray(parsed.auditLog)) parsed.auditLog = [];
+  if (!Array.isArray(parsed.notifications)) parsed.notifications = [];
+  if (!Array.isArray(parsed.comments)) parsed.comments = [];
+  parsed.nextIds = Object.assign(defaultMeta().nextIds, parsed.nextIds || {});
+  return parsed;
 }
 
 function defaultMeta() {
@@ -97,9 +253,15 @@ function defaultMeta() {
     albums: [],
     playlists: [],
     likes: {}, // songId -> array of usernames
+    dislikes: {}, // songId -> array of usernames; kept out of recommendations
     followers: {}, // username -> array of follower usernames
-    recentlyPlayed: [], // songId list
-    nextIds: {song:1, album:1, playlist:1, user:1}
+    plays: [], // { id, songId, user, at, listened (s), finished, skipped } per playback
+    reports: [], // { id, songId, songTitle, reporter, reason, at, status: open|dismissed|removed }
+    auditLog: [], // { at, actor, action, target, detail } per admin action
+    notifications: [], // { id, user, type: upload|follow|share|comment, actor, at, read, albumId, songIds, playlistId, songId, commentId }
+    comments: [], // { id, songId, user, text, at, editedAt, parentId, time (s) | null, pinned, hidden, deleted }
+    sessions: {}, // token -> { username, expiresAt }
+    nextIds: {song:1, album:1, playlist:1, user:1, play:1, report:1, notification:1, comment:1}
   };
 }
 
@@ -119,34 +281,128 @@ function toast(msg, time=2000) {
    App state & player
    --------------------------- */
 const state = {
-  meta: loadMeta(),
+  meta: defaultMeta(), // replaced by loadMeta() during bootstrap
   currentUser: null,
   route: 'home',
   routeParam: null,
+  chartFilters: { genre: '', language: '', window: 'all' },
+  searchFilters: { genre: '', language: '', explicit: '', year: '' },
+  dashboardDays: 30,
   player: {
     queue: [],
     index: 0,
     playing: false,
     audioEl: null,
     currentSongId: null,
-    seekUpdating: false
+    peaks: null, // waveform of the current song (Uint8Array)
+    lyrics: null, lyricLine: -1, // timed lines of the current song, if it has LRC lyrics
+    markers: [], // timestamped comments on the current song
+    baseQueue: [], // queue in its original order, kept while shuffled
+    shuffle: false,
+    shuffleSeed: 0,
+    repeat: 'off', // off | all | one
+    audioEls: [], // [#audio, #audioNext]; audioEl is whichever is audible
+    preloaded: null, // { songId, index, el, ready }: next track buffered on the idle element
+    transitioning: false, // a crossfade has been started
+    play: null, // the play record being listened to
+    lastTime: 0
   }
 };
 
+/* ---------------------------
+   Password hashing (PBKDF2 via WebCrypto) & sessions
+   --------------------------- */
+const PBKDF2_ITERATIONS = 150000;
+const SESSION_KEY = 'music_app_session_v1';
+const SESSION_TTL = 30 * 86400000; // 30 days, renewed on every restore
+const DEFAULT_ADMIN_PASSWORD = 'Rank1250'; // only valid until the first sign-in
+const MIN_PASSWORD_LENGTH = 8;
+
+function bytesToHex(buf) { return Array.from(new Uint8Array(buf), b=>b.toString(16).padStart(2,'0')).join(''); }
+function hexToBytes(hex) { return new Uint8Array((hex.match(/../g)||[]).map(h=>parseInt(h,16))); }
+function randomHex(bytes=16) { const a = new Uint8Array(bytes); crypto.getRandomValues(a); return bytesToHex(a); }
+
+async function hashPassword(password, salt=randomHex(16), iterations=PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name:'PBKDF2', salt: hexToBytes(salt), iterations, hash:'SHA-256' }, key, 256);
+  return { hash: bytesToHex(bits), salt, iterations };
+}
+
+// constant-time compare so a mismatch position doesn't leak through timing
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i=0;i<a.length;i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function setUserPassword(user, password) {
+  const h = await hashPassword(password);
+  user.passwordHash = h.hash; user.passwordSalt = h.salt; user.passwordIterations = h.iterations;
+  delete user.password;
+}
+
+async function verifyPassword(user, password) {
+  if (user.passwordHash) {
+    const h = await hashPassword(password, user.passwordSalt, user.passwordIterations || PBKDF2_ITERATIONS);
+    return safeEqual(h.hash, user.passwordHash);
+  }
+  // legacy plaintext record: move it to a hash on the first successful sign-in
+  if (typeof user.password === 'string' && safeEqual(user.password, password)) {
+    await setUserPassword(user, password);
+    saveMeta(state.meta);
+    return true;
+  }
+  return false;
+}
+
+function startSession(user) {
+  const m = state.meta;
+  const token = randomHex(32);
+  m.sessions[token] = { username: user.username, expiresAt: Date.now() + SESSION_TTL };
+  pruneSessions();
+  saveMeta(m);
+  try { localStorage.setItem(SESSION_KEY, token); } catch (e) { console.warn('session save', e); }
+}
+
+function endSession() {
+  const token = localStorage.getItem(SESSION_KEY);
+  if (token && state.meta.sessions[token]) { delete state.meta.sessions[token]; saveMeta(state.meta); }
+  localStorage.removeItem(SESSION_KEY);
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  Object.entries(state.meta.sessions).forEach(([t, s])=> { if (!s || s.expiresAt <= now) delete state.meta.sessions[t]; });
+}
+
+function restoreSession() {
+  const token = localStorage.getItem(SESSION_KEY);
+  if (!token) return null;
+  const s = state.meta.sessions[token];
+  const user = s && s.expiresAt > Date.now() && state.meta.users.find(u=>u.username===s.username);
+  if (!user || user.suspended) { endSession(); return null; }
+  s.expiresAt = Date.now() + SESSION_TTL;
+  saveMeta(state.meta);
+  state.currentUser = user;
+  return user;
+}
+
 /* ---------------------------
    Bootstrap: ensure superAdmin
    --------------------------- */
-function ensureSuperAdmin() {
+async function ensureSuperAdmin() {
   const m = state.meta;
   const exists = m.users.find(u => u.username === 'RankRates');
   if (!exists) {
     const id = m.nextIds.user++;
     const su = {
-      id, username: 'RankRates', password: 'Rank1250',
+      id, username: 'RankRates', mustChangePassword: true,
       displayName: 'RankRates', bio: 'Super admin', verified: true, superAdmin: true,
       imageAssetId: null,
       createdAt: Date.now()
     };
+    await setUserPassword(su, DEFAULT_ADMIN_PASSWORD);
     m.users.push(su);
     saveMeta(m);
     toast('SuperAdmin created: RankRates');
@@ -163,7 +419,9 @@ async function createSampleAssetsIfEmpty() {
   // Ensure at least one user besides admin
   if (!m.users.find(u=>u.username==='alice')) {
     const id = m.nextIds.user++;
-    m.users.push({id, username:'alice', password:'alice', displayName:'Alice', bio:'Demo user', verified:true, superAdmin:false, imageAssetId:null, createdAt:Date.now()});
+    const alice = {id, username:'alice', displayName:'Alice', bio:'Demo user', verified:true, superAdmin:false, imageAssetId:null, createdAt:Date.now()};
+    await setUserPassword(alice, 'alice');
+    m.users.push(alice);
   }
 
   // generate a short beep WAV blob
@@ -209,13 +467,16 @@ async function createSampleAssetsIfEmpty() {
 
   // store in indexedDB
   await idbPut(`audio:${songId}`, audioBlob);
+  const { loudness, peaks } = await analyseAudio(audioBlob);
+  const waveformAssetId = await storeWaveform(songId, peaks);
   await idbPut(`image:album:${albumId}`, artBlob);
   await idbPut(`image:user:${m.users[0].id}`, artBlob);
 
   m.albums.push({id: albumId, title: 'Demo Album', artist: uploader, year: (new Date()).getFullYear(), coverAssetId:`image:album:${albumId}`, tracks: [songId]});
   m.songs.push({
-    id: songId, title: 'Demo Track', artist: uploader, albumId, duration: 3, assetId:`audio:${songId}`,
-    coverAssetId:`image:album:${albumId}`, genre:'Electronic', language:'English', explicit:false, uploadedBy:uploader
+    id: songId, title: 'Demo Track', artist: uploader, albumId, trackNo: 1, discNo: 1, duration: 3, loudness, assetId:`audio:${songId}`, waveformAssetId,
+    coverAssetId:`image:album:${albumId}`, genre:'Electronic', language:'English', explicit:false, uploadedBy:uploader,
+    uploadedAt: Date.now(), ratings: {}
   });
 
   saveMeta(m);
@@ -225,38 +486,87 @@ async function createSampleAssetsIfEmpty() {
 /* ---------------------------
    Auth, users, follow/unfollow
    --------------------------- */
-function registerUser(username, password, displayName) {
+async function registerUser(username, password, displayName) {
   const m = state.meta;
+  username = (username||'').trim();
+  if (!username) return {ok:false, msg:'Username required'};
+  if ((password||'').length < MIN_PASSWORD_LENGTH) return {ok:false, msg:`Password must be at least ${MIN_PASSWORD_LENGTH} characters`};
   if (m.users.find(u=>u.username===username)) return {ok:false, msg:'Username exists'};
-  const id = m.nextIds.user++;
-  const user = { id, username, password, displayName: displayName||username, bio:'', verified:false, superAdmin:false, imageAssetId:null, createdAt:Date.now() };
+  const user = { username, displayName: displayName||username, bio:'', verified:false, superAdmin:false, imageAssetId:null, createdAt:Date.now() };
+  await setUserPassword(user, password);
+  // re-check after the await: another registration may have taken the name meanwhile
+  if (m.users.find(u=>u.username===username)) return {ok:false, msg:'Username exists'};
+  user.id = m.nextIds.user++;
   m.users.push(user);
   saveMeta(m);
   return {ok:true, user};
 }
 
-function loginUser(username, password) {
+async function loginUser(username, password) {
   const m = state.meta;
-  const user = m.users.find(u=>u.username===username && u.password===password);
-  if (!user) return {ok:false, msg:'Invalid credentials'};
+  const user = m.users.find(u=>u.username===username);
+  if (!user || !(await verifyPassword(user, password))) return {ok:false, msg:'Invalid credentials'};
+  if (user.suspended) return {ok:false, msg:'This account is suspended'};
+  // installs created before hashing still carry the well-known default
+  if (user.superAdmin && password === DEFAULT_ADMIN_PASSWORD && !user.mustChangePassword) { user.mustChangePassword = true; saveMeta(m); }
   state.currentUser = user;
+  startSession(user);
   renderAuthArea();
   toast(`Signed in as ${user.displayName}`);
+  if (user.mustChangePassword) openChangePasswordModal({ forced: true });
   return {ok:true,user};
 }
 
+async function changePassword(user, currentPassword, newPassword) {
+  if (!(await verifyPassword(user, currentPassword))) return {ok:false, msg:'Current password is wrong'};
+  if ((newPassword||'').length < MIN_PASSWORD_LENGTH) return {ok:false, msg:`Password must be at least ${MIN_PASSWORD_LENGTH} characters`};
+  if (newPassword === currentPassword || (user.superAdmin && newPassword === DEFAULT_ADMIN_PASSWORD)) return {ok:false, msg:'Choose a new password'};
+  await setUserPassword(user, newPassword);
+  delete user.mustChangePassword;
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
 function logoutUser() {
+  endSession();
   state.currentUser = null;
   renderAuthArea();
   toast('Logged out');
 }
 
+// a profile is edited by its owner, or by an admin who may moderate that account
+function canEditProfile(user, me=state.currentUser) {
+  return !!(user && me) && (user.username === me.username || canModerate(user, me));
+}
+
+async function updateProfile(username, fields, imageFile=null) {
+  const user = state.meta.users.find(u=>u.username===username);
+  if (!canEditProfile(user)) return {ok:false, msg:'You can only edit your own profile'};
+  const displayName = (fields.displayName ?? user.displayName ?? '').trim();
+  if (!displayName) return {ok:false, msg:'Display name required'};
+  let image = null;
+  if (imageFile) {
+    try { image = await imageToBlob(await fileToImage(imageFile)); }
+    catch (e) { return {ok:false, msg:'That file is not a readable image'}; }
+  }
+  user.displayName = displayName;
+  user.bio = (fields.bio ?? user.bio ?? '').trim();
+  if (image) {
+    const aid = `image:user:${user.id}`;
+    await idbPut(aid, image);
+    user.imageAssetId = aid;
+  }
+  if (user.username !== state.currentUser.username) logAudit('edit-profile', username, displayName);
+  saveMeta(state.meta);
+  return {ok:true, user};
+}
+
 function followUser(targetUsername) {
   if (!state.currentUser) { toast('Login first'); return; }
   const m = state.meta;
   if (!m.followers[targetUsername]) m.followers[targetUsername] = [];
   const arr = m.followers[targetUsername];
-  if (!arr.includes(state.currentUser.username)) arr.push(state.currentUser.username);
+  if (!arr.includes(state.currentUser.username)) { arr.push(state.currentUser.username); notify(targetUsername, 'follow'); }
   saveMeta(m);
 }
 
@@ -270,6 +580,604 @@ function unfollowUser(targetUsername) {
   saveMeta(m);
 }
 
+/* ---------------------------
+   Following feed & notifications
+   --------------------------- */
+const RELEASES_DAYS = 90; // how far back the New releases feed goes
+const NOTIFICATIONS_PER_USER = 200; // older ones are dropped
+
+function followingOf(username) {
+  return Object.keys(state.meta.followers).filter(a=> a !== username && state.meta.followers[a].includes(username));
+}
+
+// uploads by followed artists, one entry per album, newest first
+function newReleases(username, days=RELEASES_DAYS) {
+  const m = state.meta;
+  const artists = new Set(followingOf(username));
+  const since = Date.now() - days * 86400000;
+  const byAlbum = new Map();
+  m.songs.filter(s=> artists.has(s.artist) && (s.uploadedAt || 0) >= since).forEach(s=> {
+    const entry = byAlbum.get(s.albumId) || { album: m.albums.find(a=>a.id===s.albumId) || null, artist: s.artist, songs: [], at: 0 };
+    entry.songs.push(s); entry.at = Math.max(entry.at, s.uploadedAt);
+    byAlbum.set(s.albumId, entry);
+  });
+  return [...byAlbum.values()].sort((a, b)=> b.at - a.at);
+}
+
+// type: upload { albumId, songIds } | follow | share { playlistId } | comment { songId, commentId }; actor is who caused it
+function notify(username, type, fields={}) {
+  const m = state.meta;
+  const actor = fields.actor ?? state.currentUser?.username ?? null;
+  if (!username || username === actor) return null;
+  const n = { id: `notification_${m.nextIds.notification++}`, user: username, type, actor, at: Date.now(), read: false, ...fields };
+  m.notifications.push(n);
+  const mine = m.notifications.filter(x=>x.user===username);
+  if (mine.length > NOTIFICATIONS_PER_USER) {
+    const drop = new Set(mine.slice(0, mine.length - NOTIFICATIONS_PER_USER));
+    m.notifications = m.notifications.filter(x=>!drop.has(x));
+  }
+  return n;
+}
+
+function notifyFollowers(artist, fields) {
+  (state.meta.followers[artist] || []).forEach(f=> notify(f, 'upload', fields));
+}
+
+function userNotifications(username=state.currentUser?.username) {
+  return username ? state.meta.notifications.filter(n=>n.user===username) : [];
+}
+
+function unreadCount(username) { return userNotifications(username).filter(n=>!n.read).length; }
+
+function markNotificationsRead(ids=null) {
+  const mine = userNotifications().filter(n=> !n.read && (!ids || ids.includes(n.id)));
+  mine.forEach(n=> { n.read = true; });
+  if (mine.length) saveMeta(state.meta);
+  updateNotificationBadge();
+}
+
+function notificationText(n) {
+  const m = state.meta;
+  const who = findUser(n.actor)?.displayName || n.actor || 'Someone';
+  if (n.type === 'follow') return `${who} started following you`;
+  if (n.type === 'comment') {
+    const c = m.comments.find(x=>x.id===n.commentId);
+    return `${who} ${c?.parentId ? 'replied to your comment' : 'commented'} on “${m.songs.find(s=>s.id===n.songId)?.title || 'a song'}”`;
+  }
+  if (n.type === 'share') return `${who} shared the playlist “${findPlaylist(n.playlistId)?.name || 'a playlist'}” with you`;
+  const songs = (n.songIds || []).map(id=> m.songs.find(s=>s.id===id)).filter(Boolean);
+  if (songs.length === 1) return `${who} uploaded “${songs[0].title}”`;
+  return `${who} uploaded ${songs.length} tracks to “${m.albums.find(a=>a.id===n.albumId)?.title || 'an album'}”`;
+}
+
+// where opening a notification leads; null once its target is gone
+function notificationTarget(n) {
+  const m = state.meta;
+  if (n.type === 'follow') return findUser(n.actor) ? ['artist', n.actor] : null;
+  if (n.type === 'share') return findPlaylist(n.playlistId) ? ['playlist', n.playlistId] : null;
+  if (n.type === 'comment') return m.songs.some(s=>s.id===n.songId) ? ['song', n.songId] : null;
+  return m.albums.some(a=>a.id===n.albumId) ? ['album', n.albumId] : null;
+}
+
+function openNotification(n) {
+  markNotificationsRead([n.id]);
+  const target = notificationTarget(n);
+  if (target) navigate(...target);
+  else { toast('No longer available'); renderMainRoute(); }
+}
+
+function updateNotificationBadge() {
+  const badge = $('#notifBadge'); if (!badge) return;
+  const n = unreadCount(state.currentUser?.username);
+  badge.textContent = n > 99 ? '99+' : String(n);
+  badge.classList.toggle('hidden', n === 0);
+}
+
+/* ---------------------------
+   Comments: threads on the song page, optionally at a playback position (shown on the scrubber)
+   --------------------------- */
+const MAX_COMMENT_LENGTH = 1000;
+
+function findComment(id) { return state.meta.comments.find(c=>c.id===id) || null; }
+
+// "1:23" or "83" -> seconds; null when empty or unreadable
+function parseTimestamp(text) {
+  const t = String(text || '').trim(); if (!t) return null;
+  const parts = t.split(':').map(Number);
+  if (parts.length > 3 || parts.some(n=> !isFinite(n) || n < 0)) return null;
+  return parts.reduce((sum, n)=> sum * 60 + n, 0);
+}
+
+function isSongArtist(song, me=state.currentUser) { return !!(song && me) && song.artist === me.username; }
+
+// hidden comments stay visible to their author, the artist and admins
+function canSeeComment(c, me=state.currentUser) {
+  if (!c.hidden) return true;
+  const song = state.meta.songs.find(s=>s.id===c.songId);
+  return !!me && (c.user === me.username || isSongArtist(song, me) || isAdmin(me));
+}
+
+// top-level comments with their replies; pinned first, then oldest first.
+// hiding a comment doesn't hide the replies you can see: their thread stays, under a placeholder (masked)
+function songComments(songId) {
+  const all = state.meta.comments.filter(c=> c.songId === songId);
+  const visible = all.filter(c=> canSeeComment(c));
+  const byTime = (a, b)=> a.at - b.at;
+  return all.filter(c=>!c.parentId).sort((a, b)=> (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || byTime(a, b))
+    .map(c=> ({ comment: c, masked: !canSeeComment(c), replies: visible.filter(r=>r.parentId===c.id).sort(byTime) }))
+    .filter(t=> !t.masked || t.replies.length);
+}
+
+function addComment(songId, text, { time = null, parentId = null } = {}) {
+  const me = state.currentUser;
+  if (!me) return {ok:false, msg:'Login to comment'};
+  const m = state.meta;
+  const song = m.songs.find(s=>s.id===songId);
+  if (!song) return {ok:false, msg:'Song not found'};
+  text = String(text || '').trim();
+  if (!text) return {ok:false, msg:'Write something first'};
+  if (text.length > MAX_COMMENT_LENGTH) return {ok:false, msg:`Comments are limited to ${MAX_COMMENT_LENGTH} characters`};
+  let parent = parentId ? findComment(parentId) : null;
+  if (parentId && (!parent || parent.songId !== songId)) return {ok:false, msg:'The comment you replied to is gone'};
+  if (parent?.parentId) parent = findComment(parent.parentId) || parent; // one level of replies
+  if (time !== null && (!isFinite(time) || time < 0 || (song.duration && time > song.duration))) return {ok:false, msg:'That timestamp is outside the song'};
+  const c = { id: `comment_${m.nextIds.comment++}`, songId, user: me.username, text, at: Date.now(),
+    parentId: parent?.id || null, time: parent ? null : time, pinned: false, hidden: false };
+  m.comments.push(c);
+  notify(parent ? parent.user : song.artist, 'comment', { songId, commentId: c.id });
+  saveMeta(m);
+  refreshCommentMarkers();
+  return {ok:true, comment:c};
+}
+
+function editComment(id, text) {
+  const c = findComment(id);
+  if (!c || c.deleted || c.user !== state.currentUser?.username) return {ok:false, msg:'You can only edit your own comments'};
+  text = String(text || '').trim();
+  if (!text) return {ok:false, msg:'Comment can’t be empty'};
+  if (text.length > MAX_COMMENT_LENGTH) return {ok:false, msg:`Comments are limited to ${MAX_COMMENT_LENGTH} characters`};
+  c.text = text; c.editedAt = Date.now();
+  saveMeta(state.meta);
+  refreshCommentMarkers();
+  return {ok:true, comment:c};
+}
+
+// authors delete their own, admins any; a comment with replies leaves a placeholder so the thread stays readable
+function deleteComment(id) {
+  const m = state.meta;
+  const c = findComment(id);
+  const me = state.currentUser;
+  if (!c || !me || (c.user !== me.username && !isAdmin(me))) return {ok:false, msg:'You can only delete your own comments'};
+  if (c.user !== me.username) logAudit('remove-comment', c.songId, c.text.slice(0, 80));
+  if (m.comments.some(r=>r.parentId===c.id)) Object.assign(c, { deleted: true, text: '', time: null, pinned: false });
+  else {
+    m.comments = m.comments.filter(x=>x!==c);
+    // a placeholder whose last reply went goes too
+    const parent = c.parentId && findComment(c.parentId);
+    if (parent?.deleted && !m.comments.some(r=>r.parentId===parent.id)) m.comments = m.comments.filter(x=>x!==parent);
+  }
+  saveMeta(m);
+  refreshCommentMarkers();
+  return {ok:true};
+}
+
+function setCommentFlag(id, flag, on) {
+  const c = findComment(id);
+  const song = c && state.meta.songs.find(s=>s.id===c.songId);
+  if (!isSongArtist(song)) return {ok:false, msg:'Only the artist can do that'};
+  if (flag === 'pinned' && (c.parentId || c.deleted)) return {ok:false, msg:'Only comments (not replies) can be pinned'};
+  c[flag] = !!on;
+  saveMeta(state.meta);
+  refreshCommentMarkers();
+  return {ok:true, comment:c};
+}
+
+function pinComment(id, on=true) { return setCommentFlag(id, 'pinned', on); }
+function hideComment(id, on=true) { return setCommentFlag(id, 'hidden', on); }
+
+// timestamped comments of the playing song, for the scrubbers
+function refreshCommentMarkers() {
+  const id = state.player.currentSongId;
+  state.player.markers = id ? state.meta.comments.filter(c=> c.songId === id && c.time !== null && !c.deleted && canSeeComment(c)).sort((a, b)=> a.time - b.time) : [];
+  drawScrubbers();
+}
+
+/* ---------------------------
+   Ratings (1-5 stars, per user, stored on the song)
+   --------------------------- */
+const CHART_MIN_VOTES = 3; // weight of the prior in the Bayesian average
+
+function rateSong(songId, stars) {
+  if (!state.currentUser) { toast('Login to rate'); return false; }
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!song) return false;
+  song.ratings = song.ratings || {};
+  const u = state.currentUser.username;
+  const v = Math.round(Number(stars));
+  // clicking your current rating again clears it
+  if (!v || song.ratings[u] === v) delete song.ratings[u];
+  else if (v>=1 && v<=5) song.ratings[u] = v;
+  else return false;
+  saveMeta(state.meta);
+  return true;
+}
+
+function songRatingStats(song) {
+  const vals = Object.values(song.ratings || {});
+  const count = vals.length;
+  return { avg: count ? vals.reduce((a,b)=>a+b,0)/count : 0, count };
+}
+
+function userRating(song, username) {
+  return (username && song.ratings && song.ratings[username]) || 0;
+}
+
+function globalRatingMean(songs) {
+  let sum = 0, n = 0;
+  songs.forEach(s=> Object.values(s.ratings || {}).forEach(v=> { sum += v; n++; }));
+  return n ? sum/n : 3;
+}
+
+// Bayesian average: pulls songs with few votes towards the catalogue mean
+function weightedRating(song, mean, m=CHART_MIN_VOTES) {
+  const { avg, count } = songRatingStats(song);
+  return (count/(count+m))*avg + (m/(count+m))*mean;
+}
+
+function chartSongs(filters={}) {
+  const all = state.meta.songs;
+  const mean = globalRatingMean(all);
+  const since = filters.window && filters.window !== 'all' ? Date.now() - Number(filters.window)*86400000 : 0;
+  return all
+    .filter(s=> songRatingStats(s).count > 0)
+    .filter(s=> !filters.genre || s.genre === filters.genre)
+    .filter(s=> !filters.language || (s.language||'').toLowerCase() === filters.language.toLowerCase())
+    .filter(s=> !since || (s.uploadedAt || 0) >= since)
+    .map(s=> ({ song: s, score: weightedRating(s, mean), ...songRatingStats(s) }))
+    .sort((a,b)=> b.score - a.score || b.count - a.count);
+}
+
+function createRatingWidget(song) {
+  const wrap = document.createElement('div'); wrap.className = 'rating';
+  const draw = () => {
+    wrap.innerHTML = '';
+    const { avg, count } = songRatingStats(song);
+    const mine = userRating(song, state.currentUser?.username);
+    const stars = document.createElement('span'); stars.className = 'stars';
+    for (let i=1;i<=5;i++) {
+      const b = document.createElement('button'); b.type = 'button';
+      b.textContent = i <= mine ? '★' : '☆';
+      b.title = mine ? `Your rating: ${mine} (click ${i} to change)` : `Rate ${i}`;
+      b.classList.toggle('mine', i <= mine);
+      b.addEventListener('click', (e)=> { e.stopPropagation(); if (rateSong(song.id, i)) refreshRatingWidgets(song.id); });
+      b.addEventListener('dblclick', (e)=> e.stopPropagation());
+      stars.appendChild(b);
+    }
+    const avgEl = document.createElement('small');
+    avgEl.textContent = count ? ` ${avg.toFixed(1)} (${count})` : ' No ratings';
+    wrap.appendChild(stars); wrap.appendChild(avgEl);
+  };
+  wrap.dataset.songId = song.id;
+  wrap._draw = draw;
+  draw();
+  return wrap;
+}
+
+function refreshRatingWidgets(songId) {
+  $all('.rating').forEach(w=> { if (w.dataset.songId === songId && w._draw) w._draw(); });
+}
+
+/* ---------------------------
+   Recommendations & Daily Mixes (plays, likes, follows, dislikes)
+   --------------------------- */
+const TASTE_HALF_LIFE_DAYS = 30; // a play this old counts half
+const RECENT_EXCLUDE_DAYS = 7; // recommendations skip what you played this recently
+const DAILY_MIX_COUNT = 4;
+const DAILY_MIX_SIZE = 25;
+
+function isDisliked(songId, username=state.currentUser?.username) {
+  return !!username && (state.meta.dislikes[songId] || []).includes(username);
+}
+
+// disliking a song also drops it from your likes; returns whether it is now disliked
+function toggleDislike(songId) {
+  if (!state.currentUser) { toast('Login first'); return false; }
+  const m = state.meta; const u = state.currentUser.username;
+  const arr = m.dislikes[songId] = m.dislikes[songId] || [];
+  const on = !arr.includes(u);
+  if (on) {
+    arr.push(u);
+    if (m.likes[songId]) m.likes[songId] = m.likes[songId].filter(x=>x!==u);
+  } else arr.splice(arr.indexOf(u), 1);
+  if (arr.length === 0) delete m.dislikes[songId];
+  saveMeta(m);
+  return on;
+}
+
+function createDislikeButton(songId) {
+  const btn = document.createElement('button'); btn.className = 'dislike-btn'; btn.textContent = '⊘'; btn.title = 'Not for me';
+  btn.classList.toggle('on', isDisliked(songId));
+  btn.addEventListener('click', (e)=> {
+    e.stopPropagation();
+    if (!state.currentUser) { toast('Login first'); return; }
+    const on = toggleDislike(songId);
+    btn.classList.toggle('on', on);
+    toast(on ? 'You will hear less like this' : 'Dislike removed');
+  });
+  return btn;
+}
+
+// changes once a day and differs per user
+function dailySeed(username='') {
+  const d = new Date();
+  let h = d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate();
+  for (const ch of username) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+// artist / genre / language weights; username null = everybody's plays (cold start)
+function tasteProfile(username) {
+  const m = state.meta;
+  const byId = new Map(m.songs.map(s=>[s.id, s]));
+  const profile = { artists: new Map(), genres: new Map(), languages: new Map() };
+  const bump = (map, key, w) => { if (key) map.set(key, (map.get(key) || 0) + w); };
+  const add = (song, w) => {
+    if (!song) return;
+    bump(profile.artists, song.artist, w); bump(profile.genres, song.genre, w); bump(profile.languages, song.language, w);
+  };
+  const now = Date.now();
+  m.plays.forEach(p=> {
+    if (username && p.user !== username) return;
+    const decay = Math.pow(0.5, (now - p.at) / (TASTE_HALF_LIFE_DAYS * 86400000));
+    add(byId.get(p.songId), (p.skipped ? -0.5 : p.finished ? 1.5 : 1) * decay);
+  });
+  if (username) {
+    Object.entries(m.likes).forEach(([sid, users])=> { if (users.includes(username)) add(byId.get(sid), 3); });
+    Object.entries(m.dislikes).forEach(([sid, users])=> { if (users.includes(username)) add(byId.get(sid), -3); });
+    Object.entries(m.followers).forEach(([artist, fans])=> { if (fans.includes(username)) bump(profile.artists, artist, 5); });
+  }
+  return profile;
+}
+
+function profileFor(username) {
+  const own = username ? tasteProfile(username) : null;
+  return own && own.artists.size ? own : tasteProfile(null);
+}
+
+function songAffinity(song, profile) {
+  return (profile.artists.get(song.artist) || 0) + 0.5 * (profile.genres.get(song.genre) || 0) + 0.25 * (profile.languages.get(song.language) || 0);
+}
+
+function recommendSongs(username=state.currentUser?.username || null, limit=8) {
+  const m = state.meta;
+  const profile = profileFor(username);
+  const since = Date.now() - RECENT_EXCLUDE_DAYS * 86400000;
+  const recent = new Set(m.plays.filter(p=>p.user===username && p.at>=since).map(p=>p.songId));
+  const jitter = seededRandom(dailySeed(username || '')); // < 1, so it only reorders near-ties, differently each day
+  return m.songs
+    .filter(s=> !recent.has(s.id) && !isDisliked(s.id, username) && s.artist !== username)
+    .map(s=> ({ s, score: songAffinity(s, profile) + jitter() }))
+    .sort((a, b)=> b.score - a.score)
+    .slice(0, limit).map(x=>x.s);
+}
+
+function mainGenre(artist) {
+  const counts = {};
+  state.meta.songs.forEach(s=> { if (s.artist === artist && s.genre) counts[s.genre] = (counts[s.genre] || 0) + 1; });
+  return Object.entries(counts).sort((a, b)=> b[1] - a[1])[0]?.[0] || null;
+}
+
+// signed-in users who played or liked each song: songId -> Set
+function songListeners() {
+  const m = state.meta; const map = new Map();
+  const add = (id, u) => { if (!u) return; if (!map.has(id)) map.set(id, new Set()); map.get(id).add(u); };
+  m.plays.forEach(p=> add(p.songId, p.user));
+  Object.entries(m.likes).forEach(([id, users])=> users.forEach(u=> add(id, u)));
+  return map;
+}
+
+// other artists' songs, scored by shared genre and language plus the overlap of their listeners
+function similarSongs(songId, limit=8) {
+  const m = state.meta;
+  const song = m.songs.find(s=>s.id===songId); if (!song) return [];
+  const listeners = songListeners();
+  const fans = listeners.get(songId) || new Set();
+  const overlap = (id) => {
+    const other = listeners.get(id); if (!other || fans.size === 0) return 0;
+    let shared = 0; other.forEach(u=> { if (fans.has(u)) shared++; });
+    return shared / (fans.size + other.size - shared); // Jaccard
+  };
+  return m.songs
+    .filter(s=> s.artist !== song.artist && !isDisliked(s.id))
+    .map(s=> ({ s, score: (s.genre && s.genre === song.genre ? 1 : 0) + (s.language && s.language === song.language ? 0.5 : 0) + 3 * overlap(s.id) }))
+    .filter(x=> x.score > 0)
+    .sort((a, b)=> b.score - a.score || (b.s.uploadedAt || 0) - (a.s.uploadedAt || 0))
+    .slice(0, limit).map(x=>x.s);
+}
+
+// each mix: a lead artist from your top artists, up to two more of yours in the same genre, filled up with that genre
+function dailyMixes(username=state.currentUser?.username || null) {
+  const m = state.meta;
+  const profile = profileFor(username);
+  const seed = dailySeed(username || '');
+  const artists = [...profile.artists].filter(([, w])=> w > 0).sort((a, b)=> b[1] - a[1]).map(([a])=>a);
+  const used = new Set(); const mixes = [];
+  for (const lead of artists) {
+    if (mixes.length >= DAILY_MIX_COUNT) break;
+    if (used.has(lead)) continue;
+    const genre = mainGenre(lead);
+    const seeds = [lead, ...artists.filter(a=> a !== lead && !used.has(a) && genre && mainGenre(a) === genre).slice(0, 2)];
+    seeds.forEach(a=>used.add(a));
+    const pool = m.songs.filter(s=> !isDisliked(s.id, username) && (seeds.includes(s.artist) || (genre && s.genre === genre)));
+    if (pool.length === 0) continue;
+    // the seed artists' tracks make the cut before the genre fill; the mix plays in today's order
+    const own = shuffleWithSeed(pool.filter(s=>seeds.includes(s.artist)).map(s=>s.id), seed + mixes.length);
+    const fill = shuffleWithSeed(pool.filter(s=>!seeds.includes(s.artist)).map(s=>s.id), seed - mixes.length);
+    mixes.push({ name: `Daily Mix ${mixes.length + 1}`, seeds, genre, songIds: shuffleWithSeed([...own, ...fill].slice(0, DAILY_MIX_SIZE), seed) });
+  }
+  return mixes;
+}
+
+/* ---------------------------
+   Search: typo-tolerant ranking over songs, albums, artists and playlists
+   --------------------------- */
+const SEARCH_DEBOUNCE = 150;
+const SEARCH_LIMITS = { songs: 30, albums: 12, artists: 12, playlists: 12 };
+
+function foldText(s) { return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''); }
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i)=> i);
+  for (let i=1; i<=a.length; i++) {
+    const cur = [i]; let best = i;
+    for (let j=1; j<=b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0 = no match; whole-text and prefix hits rank above per-word typo matches
+function fuzzyScore(query, text) {
+  const q = foldText(query).trim(); const t = foldText(text);
+  if (!q || !t) return 0;
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 90;
+  if (t.includes(q)) return 75;
+  const words = t.split(/[^a-z0-9]+/).filter(Boolean);
+  let total = 0;
+  for (const token of q.split(/\s+/)) {
+    const allowed = token.length <= 2 ? 0 : token.length <= 5 ? 1 : 2;
+    let best = -1;
+    for (const w of words) {
+      if (w.startsWith(token)) { best = Math.max(best, 60); continue; }
+      // compare against the word and its same-length prefix, so half-typed words still match
+      const d = Math.min(editDistance(token, w, allowed), editDistance(token, w.slice(0, token.length), allowed));
+      if (d <= allowed) best = Math.max(best, 50 - 15 * d);
+    }
+    if (best < 0) return 0;
+    total += best;
+  }
+  return total / q.split(/\s+/).length;
+}
+
+// best field wins; weights favour the item's own name
+function scoreFields(query, fields) {
+  return Math.max(0, ...fields.map(([text, weight])=> fuzzyScore(query, text) * weight));
+}
+
+function songYear(song) {
+  return state.meta.albums.find(a=>a.id===song.albumId)?.year || new Date(song.uploadedAt || Date.now()).getFullYear();
+}
+
+function hasSearchFilters(f) { return !!(f.genre || f.language || f.explicit || f.year); }
+
+function songMatchesFilters(song, f) {
+  if (f.genre && song.genre !== f.genre) return false;
+  if (f.language && song.language !== f.language) return false;
+  if (f.explicit === 'clean' && song.explicit) return false;
+  if (f.explicit === 'explicit' && !song.explicit) return false;
+  if (f.year && String(songYear(song)) !== String(f.year)) return false;
+  return true;
+}
+
+// with filters active, albums/artists/playlists only show up if they hold a matching song
+function searchLibrary(query, filters={}) {
+  const m = state.meta;
+  const displayName = (u) => findUser(u)?.displayName || u;
+  const filtered = hasSearchFilters(filters);
+  const okSongs = new Set(m.songs.filter(s=>songMatchesFilters(s, filters)).map(s=>s.id));
+  const rank = (items, fieldsOf, limit) => items
+    .map(item=> ({ item, score: query ? scoreFields(query, fieldsOf(item)) : 1 }))
+    .filter(r=> r.score > 0)
+    .sort((a, b)=> b.score - a.score)
+    .slice(0, limit).map(r=>r.item);
+  if (!query && !filtered) return { songs: [], albums: [], artists: [], playlists: [] };
+  return {
+    songs: rank(m.songs.filter(s=>okSongs.has(s.id)), s=> [[s.title, 1], [displayName(s.artist), 0.8], [s.artist, 0.8],
+      [m.albums.find(a=>a.id===s.albumId)?.title, 0.6], [s.genre, 0.5]], SEARCH_LIMITS.songs),
+    albums: rank(m.albums.filter(a=> !filtered || a.tracks.some(id=>okSongs.has(id))), a=> [[a.title, 1], [displayName(a.artist), 0.7]], SEARCH_LIMITS.albums),
+    artists: rank(m.users.filter(u=> m.songs.some(s=>s.artist===u.username && (!filtered || okSongs.has(s.id)))),
+      u=> [[u.displayName, 1], [u.username, 1], [u.bio, 0.5]], SEARCH_LIMITS.artists),
+    playlists: rank(m.playlists.filter(p=> canViewPlaylist(p) && (!filtered || p.tracks.some(t=>okSongs.has(t.songId)))),
+      p=> [[p.name, 1], [displayName(p.owner), 0.5]], SEARCH_LIMITS.playlists)
+  };
+}
+
+// flat, ranked list for the top-bar suggestions
+function searchSuggestions(query, limit=8) {
+  if (!foldText(query).trim()) return [];
+  const r = searchLibrary(query);
+  const entries = (kind, items, label, sub) => items.map(item=> ({ kind, item, label: label(item), sub: sub(item) }));
+  const name = (u) => findUser(u)?.displayName || u;
+  const all = [
+    ...entries('artist', r.artists.slice(0, 3), u=>u.displayName || u.username, ()=> 'Artist'),
+    ...entries('song', r.songs.slice(0, 5), s=>s.title, s=> `Song · ${name(s.artist)}`),
+    ...entries('album', r.albums.slice(0, 3), a=>a.title, a=> `Album · ${name(a.artist)}`),
+    ...entries('playlist', r.playlists.slice(0, 3), p=>p.name, p=> `Playlist · ${name(p.owner)}`)
+  ];
+  // interleave by how well the label itself matches
+  return all.map(s=> ({ ...s, score: fuzzyScore(query, s.label) })).sort((a, b)=> b.score - a.score).slice(0, limit);
+}
+
+function openSearchResult(kind, item) {
+  if (kind === 'song') playSong(item.id, [item.id]);
+  else if (kind === 'album') navigate('album', item.id);
+  else if (kind === 'artist') navigate('artist', item.username);
+  else if (kind === 'playlist') navigate('playlist', item.id);
+}
+
+let suggestTimer = null;
+
+// debounced dropdown under #globalSearchInput; arrows move, Enter opens, Escape closes
+function initSearchSuggest() {
+  const input = $('#globalSearchInput'); const box = $('#searchSuggest');
+  if (!input || !box || input.dataset.suggest) return;
+  input.dataset.suggest = '1';
+  let items = []; let active = -1;
+  const close = () => { box.classList.add('hidden'); items = []; active = -1; };
+  const highlight = (i) => {
+    active = i;
+    $all('.suggest-item', box).forEach((el, j)=> el.classList.toggle('active', j === i));
+  };
+  const show = () => {
+    items = searchSuggestions(input.value);
+    box.innerHTML = ''; active = -1;
+    if (items.length === 0) { close(); return; }
+    items.forEach((s, i)=> {
+      const el = document.createElement('div'); el.className = 'suggest-item';
+      el.appendChild(document.createElement('span')).textContent = s.label;
+      el.appendChild(document.createElement('small')).textContent = s.sub;
+      el.addEventListener('mousedown', (e)=> { e.preventDefault(); close(); openSearchResult(s.kind, s.item); });
+      el.addEventListener('mousemove', ()=> highlight(i));
+      box.appendChild(el);
+    });
+    box.classList.remove('hidden');
+  };
+  input.addEventListener('input', ()=> {
+    clearTimeout(suggestTimer);
+    suggestTimer = setTimeout(show, SEARCH_DEBOUNCE);
+    if (state.route === 'search') navigate('search', input.value, { replace: true });
+  });
+  input.addEventListener('keydown', (e)=> {
+    if (e.key === 'ArrowDown' && items.length) { e.preventDefault(); highlight((active + 1) % items.length); }
+    else if (e.key === 'ArrowUp' && items.length) { e.preventDefault(); highlight((active - 1 + items.length) % items.length); }
+    else if (e.key === 'Escape') close();
+    else if (e.key === 'Enter') {
+      const pick = items[active];
+      clearTimeout(suggestTimer); close();
+      if (pick) openSearchResult(pick.kind, pick.item);
+      else navigate('search', input.value, { replace: state.route === 'search' });
+    }
+  });
+  input.addEventListener('blur', close);
+}
+
 /* ---------------------------
    Player engine
    --------------------------- */
@@ -277,56 +1185,68 @@ function initPlayer() {
   const audio = $('#audio');
   if (!audio) return;
   state.player.audioEl = audio;
+  // the idle element buffers the next track and carries crossfades; only the active one drives the UI
+  state.player.audioEls = [audio, $('#audioNext')].filter(Boolean);
 
-  audio.addEventListener('timeupdate', ()=>{
-    try {
-      const s = state.player;
-      if (!s.currentSongId) return;
-      const ct = audio.currentTime || 0;
-      const dur = audio.duration || 0;
-      const p = document.getElementById('seek');
-      if (p && !s.seekUpdating) p.value = dur ? (ct/dur*100) : 0;
-      const cur = $('#currentTime'); const durEl = $('#duration');
-      if (cur) cur.textContent = formatTime(ct);
-      if (durEl) durEl.textContent = formatTime(dur);
-      // fs seek sync
-      const fsSeek = $('#fsSeek'); if (fsSeek && !s.seekUpdating) fsSeek.value = dur ? (ct/dur*100) : 0;
-    } catch(e) { console.error(e); }
-  });
-
-  audio.addEventListener('ended', ()=> {
-    playNext();
+  state.player.audioEls.forEach(el=> {
+    el.addEventListener('timeupdate', ()=>{
+      try {
+        const s = state.player;
+        if (!s.currentSongId || el !== s.audioEl) return;
+        const ct = el.currentTime || 0;
+        const dur = el.duration || 0;
+        drawScrubbers();
+        syncLyrics();
+        const cur = $('#currentTime'); const durEl = $('#duration');
+        if (cur) cur.textContent = formatTime(ct);
+        if (durEl) durEl.textContent = formatTime(dur);
+        trackListening(ct);
+        savePlayerState();
+        handleTrackEnding(el);
+      } catch(e) { console.error(e); }
+    });
+    el.addEventListener('pause', ()=> { if (el === state.player.audioEl) savePlayerState(); });
+    el.addEventListener('loadedmetadata', ()=> {
+      if (el !== state.player.audioEl) return;
+      const d = $('#duration'); if (d) d.textContent = formatTime(el.duration);
+      updateMediaPosition();
+    });
+    el.addEventListener('seeked', ()=> { if (el === state.player.audioEl) updateMediaPosition(); });
+    el.addEventListener('ended', ()=> {
+      if (el !== state.player.audioEl) return; // a crossfade already moved on
+      endPlay({ finished: true });
+      playNext({ auto: true });
+    });
   });
+  window.addEventListener('pagehide', ()=> { savePlayerState({ now: true }); if (state.player.play) saveMeta(state.meta); });
 
   // controls
   $('#playPauseBtn')?.addEventListener('click', togglePlay);
   $('#prevBtn')?.addEventListener('click', playPrev);
-  $('#nextBtn')?.addEventListener('click', playNext);
-  $('#seek')?.addEventListener('input', (e)=> {
-    state.player.seekUpdating = true;
-    const v = Number(e.target.value);
-    const audio = state.player.audioEl;
-    if (audio.duration) audio.currentTime = audio.duration * v / 100;
-    setTimeout(()=> state.player.seekUpdating = false, 300);
-  });
-  $('#volume')?.addEventListener('input', (e)=> { audio.volume = Number(e.target.value); });
+  $('#nextBtn')?.addEventListener('click', ()=> playNext());
+  $('#shuffleBtn')?.addEventListener('click', toggleShuffle);
+  $('#repeatBtn')?.addEventListener('click', cycleRepeat);
+  updateModeButtons();
+  initScrubber($('#seek'));
+  initScrubber($('#fsSeek'));
+  initLyrics();
+  window.addEventListener('resize', drawScrubbers);
+  $('#volume')?.addEventListener('input', (e)=> { setVolume(Number(e.target.value)); savePlayerState(); });
+  $('#soundBtn')?.addEventListener('click', openSoundSettings);
+  $('#shortcutsBtn')?.addEventListener('click', openShortcutHelp);
+  initMediaSession();
+  initShortcuts();
 
   // fullscreen controls
-  $('#expandBtn')?.addEventListener('click', ()=> $('#fullscreenModal').classList.remove('hidden'));
+  $('#expandBtn')?.addEventListener('click', ()=> { $('#fullscreenModal').classList.remove('hidden'); drawScrubbers(); syncLyrics(true); });
   $('#fsClose')?.addEventListener('click', ()=> $('#fullscreenModal').classList.add('hidden'));
   $('#fsPlay')?.addEventListener('click', togglePlay);
   $('#fsPrev')?.addEventListener('click', playPrev);
-  $('#fsNext')?.addEventListener('click', playNext);
-  $('#fsSeek')?.addEventListener('input', (e)=> {
-    const v = Number(e.target.value);
-    if (audio.duration) audio.currentTime = audio.duration * v / 100;
-  });
+  $('#fsNext')?.addEventListener('click', ()=> playNext());
 
   // queue open
-  $('#queueBtn')?.addEventListener('click', ()=> {
-    // open a simple queue panel
-    openQueuePanel();
-  });
+  $('#queueBtn')?.addEventListener('click', toggleQueueDrawer);
+  $('#queueClose')?.addEventListener('click', toggleQueueDrawer);
 
   // like
   $('#likeBtn')?.addEventListener('click', ()=> {
@@ -339,103 +1259,1023 @@ function initPlayer() {
     if (arr.includes(u)) {
       arr.splice(arr.indexOf(u),1);
       $('#likeBtn').textContent = '♡';
-    } else { arr.push(u); $('#likeBtn').textContent = '♥'; }
+    } else {
+      arr.push(u); $('#likeBtn').textContent = '♥';
+      if (isDisliked(sid)) toggleDislike(sid);
+      $('#dislikeBtn')?.classList.remove('on');
+    }
     saveMeta(m);
   });
+
+  // dislike: also moves on, like any "hide this song"
+  $('#dislikeBtn')?.addEventListener('click', ()=> {
+    const sid = state.player.currentSongId;
+    if (!sid || !state.currentUser) { toast('Login first'); return; }
+    const on = toggleDislike(sid);
+    $('#dislikeBtn').classList.toggle('on', on);
+    if (on) { $('#likeBtn').textContent = '♡'; if (state.player.playing) playNext(); }
+  });
+
+  $('#addToPlaylistBtn')?.addEventListener('click', ()=> {
+    const sid = state.player.currentSongId;
+    if (!sid) { toast('Nothing playing'); return; }
+    openAddToPlaylistModal(sid);
+  });
 }
 
-function playSong(songId, contextQueue = null) {
-  // contextQueue: array of songIds (for queue playback)
-  const audio = state.player.audioEl;
+function playSong(songId, contextQueue = null, { index = null, fade = 0, start = 0 } = {}) {
+  // contextQueue: array of songIds (for queue playback); index: position in the current queue;
+  // fade: crossfade from the current track over that many seconds; start: position to begin at
+  const p = state.player;
   const song = state.meta.songs.find(s=>s.id===songId);
-  if (!song) { toast('Song missing'); return; }
+  if (!song) { toast('Song missing'); p.transitioning = false; return; }
   (async ()=>{
+    let audio = null, loaded = false;
     try {
-      const blob = await idbGet(song.assetId);
-      if (!blob) { toast('Audio blob missing'); return; }
-      const url = URL.createObjectURL(blob);
-      audio.src = url;
+      const graph = ensureAudioGraph();
+      if (!graph) fade = 0;
+      const prev = p.audioEl;
+      const pre = p.preloaded?.ready && p.preloaded.songId === songId ? p.preloaded : null;
+      p.preloaded = null;
+      // preloaded tracks and crossfades start on the idle element; everything else reuses the active one
+      audio = pre ? pre.el : fade > 0 ? idleAudio() : prev;
+      if (pre) audio.currentTime = 0;
+      else {
+        const blob = await idbGet(song.assetId);
+        if (!blob) { toast('Audio blob missing'); return; }
+        setAudioSource(audio, blob);
+      }
+      loaded = true;
+      if (start > 0) audio.currentTime = start;
+      applyTrackGain(audio, song, fade);
+      // the previous track keeps playing until the new one has actually started
       await audio.play();
+      p.audioEl = audio;
+      if (prev !== audio) fadeOutAndStop(prev, fade);
       state.player.playing = true;
       state.player.currentSongId = songId;
-      if (contextQueue && Array.isArray(contextQueue)) state.player.queue = contextQueue;
-      state.player.index = state.player.queue.indexOf(songId) >= 0 ? state.player.queue.indexOf(songId) : 0;
+      if (contextQueue && Array.isArray(contextQueue)) setQueue(contextQueue, songId);
+      const at = index !== null && state.player.queue[index] === songId ? index : state.player.queue.indexOf(songId);
+      state.player.index = at >= 0 ? at : 0;
       updatePlayerUI(song);
-      // mark recently played
-      const rp = state.meta.recentlyPlayed || [];
-      rp.unshift(songId); while (rp.length>50) rp.pop();
-      state.meta.recentlyPlayed = Array.from(new Set(rp));
-      saveMeta(state.meta);
+      renderQueueDrawer();
+      savePlayerState();
+      beginPlay(songId);
+      ensureAnalysis(song);
     } catch (e) {
       console.error(e); toast('Playback error');
-    }
+      // without a crossfade the active element already holds the new track: show it paused so the controls act on it
+      if (loaded && audio === p.audioEl) {
+        p.playing = false; p.currentSongId = songId;
+        if (contextQueue && Array.isArray(contextQueue)) setQueue(contextQueue, songId);
+        const at = p.queue.indexOf(songId); if (at >= 0) p.index = at;
+        updatePlayerUI(song);
+      }
+    } finally { p.transitioning = false; }
   })();
 }
 
-function updatePlayerUI(song) {
-  const coverEl = $('#playerCover'); const title = $('#playerTitle'); const artist = $('#playerArtist');
+function setAudioSource(audio, blob) {
+  if (audio._objectUrl) URL.revokeObjectURL(audio._objectUrl);
+  audio._objectUrl = URL.createObjectURL(blob);
+  audio.src = audio._objectUrl;
+}
+
+// Load a song into the player without starting it (used when restoring a session)
+async function cueSong(songId, { index = null, position = 0 } = {}) {
+  const audio = state.player.audioEl;
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!audio || !song) return false;
+  const blob = await idbGet(song.assetId);
+  if (!blob) return false;
+  setAudioSource(audio, blob);
+  if (position > 0) audio.addEventListener('loadedmetadata', ()=> { audio.currentTime = Math.min(position, audio.duration || position); }, { once: true });
+  state.player.playing = false;
+  state.player.currentSongId = songId;
+  const at = index !== null && state.player.queue[index] === songId ? index : state.player.queue.indexOf(songId);
+  state.player.index = at >= 0 ? at : 0;
+  updatePlayerUI(song);
+  return true;
+}
+
+function updatePlayerUI(song) {
+  const coverEl = $('#playerCover'); const title = $('#playerTitle'); const artist = $('#playerArtist');
   const fsCover = $('#fsCover'); const fsTitle = $('#fsTitle'); const fsArtist = $('#fsArtist'); const fsAlbum = $('#fsAlbum');
   const fsExplicit = $('#fsExplicit'); const fsLang = $('#fsLanguage'); const fsGenre = $('#fsGenre');
   if (coverEl) {
     if (song.coverAssetId) idbGet(song.coverAssetId).then(b=>{ if (b) coverEl.src = URL.createObjectURL(b); else coverEl.src = ''; });
   }
-  if (title) title.textContent = song.title;
-  if (artist) artist.textContent = song.artist;
+  if (title) title.replaceChildren(createRouteLink('song', song.id, song.title));
+  if (artist) artist.replaceChildren(createArtistLink(song.artist));
   if (fsCover) idbGet(song.coverAssetId).then(b=>{ if (b) fsCover.src = URL.createObjectURL(b); else fsCover.src='';});
   if (fsTitle) fsTitle.textContent = song.title;
-  if (fsArtist) fsArtist.textContent = song.artist;
+  const fsRating = $('#fsRating');
+  if (fsRating) { fsRating.innerHTML = ''; fsRating.appendChild(createRatingWidget(song)); }
+  if (fsArtist) fsArtist.replaceChildren(createArtistLink(song.artist));
   if (fsAlbum) fsAlbum.textContent = state.meta.albums.find(a=>a.id===song.albumId)?.title || '';
   if (fsExplicit) { if (song.explicit) fsExplicit.classList.remove('hidden'); else fsExplicit.classList.add('hidden'); }
   if (fsLang) { fsLang.textContent = song.language || ''; fsLang.classList.toggle('hidden', !song.language); }
   if (fsGenre) { fsGenre.textContent = song.genre || ''; fsGenre.classList.toggle('hidden', !song.genre); }
-  $('#playPauseBtn').textContent = '⏸';
-  $('#fsPlay').textContent = '⏸';
+  const me = state.currentUser?.username;
+  const likeBtn = $('#likeBtn'); if (likeBtn) likeBtn.textContent = me && (state.meta.likes[song.id] || []).includes(me) ? '♥' : '♡';
+  $('#dislikeBtn')?.classList.toggle('on', isDisliked(song.id));
+  loadWaveform(song);
+  refreshCommentMarkers();
+  renderLyrics(song);
+  updateMediaSession(song);
+  setPlayButtons(!!state.player.audioEl && !state.player.audioEl.paused);
 }
 
 function togglePlay() {
   const a = state.player.audioEl; if (!a) return;
-  if (a.paused) { a.play(); state.player.playing = true; $('#playPauseBtn').textContent='⏸'; $('#fsPlay').textContent='⏸'; }
-  else { a.pause(); state.player.playing = false; $('#playPauseBtn').textContent='▶'; $('#fsPlay').textContent='▶'; }
+  if (a.paused) {
+    if (!state.player.play && state.player.currentSongId) beginPlay(state.player.currentSongId); // cued or finished track
+    ensureAudioGraph();
+    a.play(); state.player.playing = true; setPlayButtons(true);
+  }
+  else { state.player.audioEls.forEach(el=> el.pause()); state.player.playing = false; setPlayButtons(false); } // also stops a track fading out
 }
 
-function playNext() {
-  const q = state.player.queue;
-  let idx = state.player.index;
+// auto: called from 'ended' — honours repeat-one and stops at the end when repeat is off
+function playNext({ auto = false } = {}) {
+  const p = state.player;
+  const q = p.queue;
   if (q.length === 0) return;
-  idx = (idx + 1) % q.length;
-  state.player.index = idx;
-  playSong(q[idx], q);
+  if (auto && p.repeat === 'one') { restartCurrent(); return; }
+  let idx = p.index + 1;
+  if (idx >= q.length) {
+    if (p.repeat === 'off') {
+      if (auto) { p.playing = false; setPlayButtons(false); }
+      else toast('End of queue');
+      return;
+    }
+    idx = 0;
+  }
+  p.index = idx;
+  playSong(q[idx], null, { index: idx });
 }
 
 function playPrev() {
-  const q = state.player.queue;
-  let idx = state.player.index;
+  const p = state.player;
+  const q = p.queue;
   if (q.length === 0) return;
-  idx = (idx - 1 + q.length) % q.length;
-  state.player.index = idx;
-  playSong(q[idx], q);
+  // like every other player: first press goes back to the start of the track
+  if (p.audioEl && p.audioEl.currentTime > 3) { restartCurrent(); return; }
+  let idx = p.index - 1;
+  if (idx < 0) {
+    if (p.repeat !== 'all') { restartCurrent(); return; }
+    idx = q.length - 1;
+  }
+  p.index = idx;
+  playSong(q[idx], null, { index: idx });
+}
+
+function restartCurrent() {
+  const a = state.player.audioEl; if (!a || !state.player.currentSongId) return;
+  if (!state.player.play) beginPlay(state.player.currentSongId); // repeat-one after 'ended'
+  a.currentTime = 0;
+  if (a.paused) togglePlay();
+}
+
+function setPlayButtons(playing) {
+  $('#playPauseBtn').textContent = playing ? '⏸' : '▶';
+  $('#fsPlay').textContent = playing ? '⏸' : '▶';
+  if ('mediaSession' in navigator) navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+  updateMediaPosition();
+}
+
+/* ---------------------------
+   Audio chain: per-track gain -> 10-band EQ -> output (Web Audio),
+   loudness normalization, crossfade and gapless album playback
+   --------------------------- */
+const AUDIO_SETTINGS_KEY = 'music_app_audio_v1';
+const EQ_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_PRESETS = {
+  'Flat': [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  'Bass boost': [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+  'Treble boost': [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+  'Vocal': [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+  'Rock': [4, 3, 2, 0, -1, -1, 1, 2, 3, 4],
+  'Electronic': [5, 4, 1, 0, -2, 1, 0, 1, 4, 5],
+  'Acoustic': [3, 2, 1, 1, 2, 2, 3, 3, 2, 1]
+};
+const MAX_CROSSFADE = 12;
+const TARGET_LOUDNESS = -14; // LUFS
+const MAX_BOOST_DB = 6; // quiet masters are raised at most this much; loud ones are cut as far as needed
+const PRELOAD_SECONDS = 10; // start buffering the next track this close to the end
+
+let audioGraph = null; // { ctx, eq }, built on the first play because browsers want a user gesture
+const audioSettings = loadAudioSettings();
+const analysisPending = new Set();
+
+function loadAudioSettings() {
+  const defaults = { preset: 'Flat', eq: EQ_PRESETS.Flat.slice(), crossfade: 0, normalize: true, gapless: true };
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY) || 'null');
+    if (saved && Array.isArray(saved.eq) && saved.eq.length === EQ_BANDS.length) return Object.assign(defaults, saved);
+  } catch (e) { console.warn('audio settings', e); }
+  return defaults;
+}
+
+function saveAudioSettings() {
+  try { localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(audioSettings)); } catch (e) { console.warn('audio settings', e); }
+}
+
+function currentSong() { return state.meta.songs.find(s=>s.id===state.player.currentSongId) || null; }
+
+// null when Web Audio is unavailable; playback then goes straight through the elements
+function ensureAudioGraph() {
+  if (audioGraph) { if (audioGraph.ctx.state === 'suspended') audioGraph.ctx.resume(); return audioGraph; }
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  try {
+    const ctx = new Ctx();
+    const eq = EQ_BANDS.map((freq, i)=> {
+      const f = ctx.createBiquadFilter();
+      f.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+      f.frequency.value = freq; f.Q.value = 1.1; f.gain.value = audioSettings.eq[i];
+      return f;
+    });
+    eq.reduce((a, b)=> a.connect(b)).connect(ctx.destination);
+    state.player.audioEls.forEach(el=> {
+      el._gain = ctx.createGain();
+      ctx.createMediaElementSource(el).connect(el._gain).connect(eq[0]);
+    });
+    audioGraph = { ctx, eq };
+  } catch (e) { console.warn('audio graph', e); return null; }
+  const song = currentSong(); if (song) applyTrackGain(state.player.audioEl, song);
+  return audioGraph;
+}
+
+function trackGain(song) {
+  if (!audioSettings.normalize || typeof song?.loudness !== 'number') return 1;
+  return Math.pow(10, Math.min(MAX_BOOST_DB, TARGET_LOUDNESS - song.loudness) / 20);
+}
+
+// fade: ramp in from silence over that many seconds
+function applyTrackGain(el, song, fade=0) {
+  if (!audioGraph || !el?._gain) return;
+  const g = el._gain.gain; const now = audioGraph.ctx.currentTime;
+  g.cancelScheduledValues(now);
+  if (fade > 0) { g.setValueAtTime(0, now); g.linearRampToValueAtTime(trackGain(song), now + fade); }
+  else g.setValueAtTime(trackGain(song), now);
+}
+
+function fadeOutAndStop(el, fade=0) {
+  if (!audioGraph || !el._gain || fade <= 0) { el.pause(); return; }
+  const g = el._gain.gain; const now = audioGraph.ctx.currentTime;
+  g.cancelScheduledValues(now); g.setValueAtTime(g.value, now); g.linearRampToValueAtTime(0, now + fade);
+  setTimeout(()=> { if (el !== state.player.audioEl) el.pause(); }, fade * 1000 + 100);
+}
+
+function setVolume(v) { state.player.audioEls.forEach(el=> { el.volume = v; }); }
+
+function setEqBand(i, db) {
+  audioSettings.eq[i] = db;
+  audioSettings.preset = Object.keys(EQ_PRESETS).find(name=> EQ_PRESETS[name].every((v, j)=> v === audioSettings.eq[j])) || 'Custom';
+  if (audioGraph) audioGraph.eq[i].gain.value = db;
+  saveAudioSettings();
+}
+
+function applyEqPreset(name) {
+  const preset = EQ_PRESETS[name]; if (!preset) return;
+  audioSettings.eq = preset.slice(); audioSettings.preset = name;
+  if (audioGraph) audioGraph.eq.forEach((f, i)=> { f.gain.value = preset[i]; });
+  saveAudioSettings();
+}
+
+function setCrossfade(sec) {
+  audioSettings.crossfade = Math.max(0, Math.min(MAX_CROSSFADE, Math.round(Number(sec) || 0)));
+  saveAudioSettings();
+}
+
+function setNormalize(on) {
+  audioSettings.normalize = !!on;
+  const song = currentSong(); if (song) applyTrackGain(state.player.audioEl, song);
+  saveAudioSettings();
+}
+
+function setGapless(on) { audioSettings.gapless = !!on; saveAudioSettings(); }
+
+function idleAudio() { return state.player.audioEls.find(el=> el !== state.player.audioEl) || null; }
+
+// where playback goes when the current track ends on its own; -1 = it stops (or repeats itself)
+function upcomingIndex() {
+  const p = state.player;
+  if (p.repeat === 'one' || p.queue.length === 0) return -1;
+  if (p.index + 1 < p.queue.length) return p.index + 1;
+  return p.repeat === 'all' ? 0 : -1;
+}
+
+// consecutive tracks of one album play back to back and are never crossfaded
+function isGaplessPair(a, b) {
+  if (!audioSettings.gapless || !a || !b || !a.albumId || a.albumId !== b.albumId) return false;
+  const album = state.meta.albums.find(x=>x.id===a.albumId);
+  return !!album && album.tracks.indexOf(b.id) === album.tracks.indexOf(a.id) + 1;
+}
+
+// buffers the next track on the idle element so it can start without a gap
+async function preloadNext(songId, index) {
+  const p = state.player; const el = idleAudio();
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!el || !el.paused || !song) return; // the idle element may still be fading out
+  const pre = p.preloaded = { songId, index, el, ready: false };
+  const blob = await idbGet(song.assetId);
+  if (!blob || p.preloaded !== pre) return;
+  setAudioSource(el, blob); el.load();
+  pre.ready = true;
+}
+
+// called from the active element's 'timeupdate'
+function handleTrackEnding(el) {
+  const p = state.player;
+  if (p.transitioning || !el.duration) return;
+  const idx = upcomingIndex(); if (idx < 0) return;
+  const nextId = p.queue[idx];
+  const remaining = el.duration - el.currentTime;
+  if (remaining <= Math.max(PRELOAD_SECONDS, audioSettings.crossfade + 1) && p.preloaded?.songId !== nextId) preloadNext(nextId, idx);
+  const next = state.meta.songs.find(s=>s.id===nextId);
+  // short tracks get a shorter fade so they are not overlapped for most of their length
+  const fade = Math.min(audioSettings.crossfade, el.duration / 3, (next?.duration || Infinity) / 3);
+  if (!audioGraph || fade <= 0 || remaining > fade || isGaplessPair(currentSong(), next)) return;
+  p.transitioning = true;
+  endPlay({ finished: true });
+  p.index = idx;
+  playSong(nextId, null, { index: idx, fade: remaining });
+}
+
+// integrated loudness in LUFS after ITU-R BS.1770: K-weighting (two biquads), 400 ms blocks, absolute and relative gates
+async function measureLoudness(buffer) {
+  const ctx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const src = ctx.createBufferSource(); src.buffer = buffer;
+  const shelf = ctx.createBiquadFilter(); shelf.type = 'highshelf'; shelf.frequency.value = 1500; shelf.gain.value = 4;
+  const hp = ctx.createBiquadFilter(); hp.type = 'highpass'; hp.frequency.value = 38; hp.Q.value = 0.5;
+  src.connect(shelf).connect(hp).connect(ctx.destination);
+  src.start();
+  const out = await ctx.startRendering();
+  // 100 ms hops, summed four at a time into overlapping 400 ms blocks
+  const hop = Math.round(out.sampleRate * 0.1);
+  const hops = [];
+  for (let start=0; start<out.length; start+=hop) {
+    const end = Math.min(out.length, start + hop); let sum = 0;
+    for (let c=0; c<out.numberOfChannels; c++) { const d = out.getChannelData(c); for (let i=start;i<end;i++) sum += d[i] * d[i]; }
+    hops.push(sum);
+  }
+  const blocks = [];
+  for (let i=0; i+4<=hops.length; i++) blocks.push((hops[i] + hops[i+1] + hops[i+2] + hops[i+3]) / (hop * 4));
+  if (blocks.length === 0 && hops.length) blocks.push(hops.reduce((a, b)=> a + b, 0) / out.length);
+  const lufs = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (arr) => arr.reduce((a, b)=> a + b, 0) / arr.length;
+  const loud = blocks.filter(b=> lufs(b) > -70);
+  if (loud.length === 0) return null;
+  const gate = lufs(mean(loud)) - 10;
+  return Math.round(lufs(mean(loud.filter(b=> lufs(b) > gate))) * 10) / 10;
+}
+
+// songs stored before loudness analysis or waveforms existed are analysed the first time they play
+async function ensureAnalysis(song) {
+  if ((song.loudness !== undefined && song.waveformAssetId !== undefined) || analysisPending.has(song.id)) return;
+  analysisPending.add(song.id);
+  try {
+    const blob = await idbGet(song.assetId); if (!blob) return;
+    const { loudness, peaks } = await analyseAudio(blob);
+    song.loudness = loudness; // takes effect from the next play
+    song.waveformAssetId = await storeWaveform(song.id, peaks);
+    saveMeta(state.meta);
+    if (state.player.currentSongId === song.id) loadWaveform(song);
+  } catch (e) { console.warn('analysis', e); }
+  finally { analysisPending.delete(song.id); }
+}
+
+function openSoundSettings() {
+  const modal = document.createElement('div'); modal.className='modal';
+  const bandLabel = (f) => f >= 1000 ? `${f/1000}k` : String(f);
+  modal.innerHTML = `<div class="modal-inner"><h3>Sound</h3>
+    <label>Equalizer: <select id="eqPreset">${[...Object.keys(EQ_PRESETS), 'Custom'].map(n=>`<option>${n}</option>`).join('')}</select></label>
+    <div class="eq-bands">${EQ_BANDS.map((f, i)=>`<label><input type="range" min="-12" max="12" step="1" data-band="${i}" /><small>${bandLabel(f)}</small></label>`).join('')}</div>
+    <label>Crossfade: <input id="xfade" type="range" min="0" max="${MAX_CROSSFADE}" step="1" /> <span id="xfadeVal"></span></label>
+    <label><input id="normalizeOn" type="checkbox" style="width:auto" /> Normalize loudness</label>
+    <label><input id="gaplessOn" type="checkbox" style="width:auto" /> Gapless albums (no crossfade between consecutive album tracks)</label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px"><button id="soundClose">Close</button></div></div>`;
+  document.body.appendChild(modal);
+  const preset = modal.querySelector('#eqPreset');
+  const bands = $all('[data-band]', modal);
+  const sync = () => { preset.value = audioSettings.preset; bands.forEach((b, i)=> { b.value = audioSettings.eq[i]; b.title = `${audioSettings.eq[i]} dB`; }); };
+  preset.addEventListener('change', ()=> { applyEqPreset(preset.value); sync(); });
+  bands.forEach((b, i)=> b.addEventListener('input', ()=> { setEqBand(i, Number(b.value)); sync(); }));
+  const xfade = modal.querySelector('#xfade'); const xfadeVal = modal.querySelector('#xfadeVal');
+  const showFade = () => { xfadeVal.textContent = audioSettings.crossfade ? `${audioSettings.crossfade} s` : 'Off'; };
+  xfade.value = audioSettings.crossfade; showFade();
+  xfade.addEventListener('input', ()=> { setCrossfade(xfade.value); showFade(); });
+  const norm = modal.querySelector('#normalizeOn'); norm.checked = audioSettings.normalize;
+  norm.addEventListener('change', ()=> setNormalize(norm.checked));
+  const gapless = modal.querySelector('#gaplessOn'); gapless.checked = audioSettings.gapless;
+  gapless.addEventListener('change', ()=> setGapless(gapless.checked));
+  modal.querySelector('#soundClose').addEventListener('click', ()=> modal.remove());
+  sync();
+}
+
+/* ---------------------------
+   Waveform: peak summary per song (asset 'waveform:song_N') drawn as the seek scrubbers
+   --------------------------- */
+const WAVEFORM_POINTS = 240;
+const scrubbers = []; // { canvas, preview } for #seek and #fsSeek
+
+// loudest sample per bucket across channels, scaled so the loudest bucket is 255
+function computePeaks(buffer, points=WAVEFORM_POINTS) {
+  const size = Math.max(1, Math.floor(buffer.length / points));
+  const peaks = new Float32Array(points);
+  for (let c=0; c<buffer.numberOfChannels; c++) {
+    const d = buffer.getChannelData(c);
+    for (let p=0; p<points; p++) {
+      let max = peaks[p];
+      for (let i=p*size, end=Math.min(d.length, i+size); i<end; i++) { const v = Math.abs(d[i]); if (v > max) max = v; }
+      peaks[p] = max;
+    }
+  }
+  const top = Math.max(...peaks) || 1;
+  return Uint8Array.from(peaks, v=> Math.round(v / top * 255));
+}
+
+// stores the peaks next to the audio; returns the asset id for song.waveformAssetId
+async function storeWaveform(songId, peaks) {
+  if (!peaks) return null;
+  const id = `waveform:${songId}`;
+  await idbPut(id, new Blob([peaks], {type:'application/octet-stream'}));
+  return id;
+}
+
+async function loadWaveform(song) {
+  state.player.peaks = null;
+  drawScrubbers();
+  const blob = song.waveformAssetId ? await idbGet(song.waveformAssetId) : null;
+  if (!blob || state.player.currentSongId !== song.id) return;
+  state.player.peaks = new Uint8Array(await blob.arrayBuffer());
+  drawScrubbers();
+}
+
+function seekToFraction(fraction) {
+  const a = state.player.audioEl;
+  if (a && a.duration) a.currentTime = a.duration * fraction;
+}
+
+// click or drag to seek; the position is previewed while dragging and applied on release
+function initScrubber(canvas) {
+  if (!canvas) return;
+  const sc = { canvas, preview: null };
+  scrubbers.push(sc);
+  const fraction = (e) => { const r = canvas.getBoundingClientRect(); return Math.min(1, Math.max(0, (e.clientX - r.left) / r.width)); };
+  canvas.addEventListener('pointerdown', (e)=> {
+    if (!state.player.audioEl?.duration) return;
+    canvas.setPointerCapture(e.pointerId);
+    sc.preview = fraction(e); drawScrubber(sc);
+  });
+  canvas.addEventListener('pointermove', (e)=> {
+    if (sc.preview === null) { const c = markerNear(canvas, fraction(e)); canvas.title = c ? commentMarkerLabel(c) : ''; return; }
+    sc.preview = fraction(e); drawScrubber(sc);
+  });
+  canvas.addEventListener('pointerup', ()=> {
+    if (sc.preview === null) return;
+    seekToFraction(sc.preview); sc.preview = null; drawScrubbers();
+  });
+  canvas.addEventListener('pointercancel', ()=> { sc.preview = null; drawScrubbers(); });
+  canvas.addEventListener('keydown', (e)=> {
+    const a = state.player.audioEl; if (!a?.duration) return;
+    const step = { ArrowLeft: -5, ArrowRight: 5, Home: -Infinity, End: Infinity }[e.key];
+    if (step === undefined) return;
+    e.preventDefault();
+    a.currentTime = Math.min(a.duration, Math.max(0, a.currentTime + step));
+    drawScrubbers();
+  });
+}
+
+function drawScrubber(sc) {
+  const { canvas } = sc; const a = state.player.audioEl;
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(canvas.clientWidth * dpr), h = Math.round(canvas.clientHeight * dpr);
+  if (!w || !h) return; // hidden (e.g. the fullscreen modal is closed)
+  if (canvas.width !== w) canvas.width = w;
+  if (canvas.height !== h) canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, w, h);
+  const progress = sc.preview ?? (a && a.duration ? a.currentTime / a.duration : 0);
+  const played = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#1db954';
+  const rest = '#4d4d4d';
+  const peaks = state.player.peaks;
+  if (!peaks) {
+    // no waveform stored: a plain progress bar
+    const bar = Math.max(2, Math.round(h / 8));
+    ctx.fillStyle = rest; ctx.fillRect(0, (h - bar) / 2, w, bar);
+    ctx.fillStyle = played; ctx.fillRect(0, (h - bar) / 2, w * progress, bar);
+  } else {
+    const bw = w / peaks.length;
+    for (let i=0; i<peaks.length; i++) {
+      const bh = Math.max(2, peaks[i] / 255 * h);
+      ctx.fillStyle = (i + 0.5) / peaks.length <= progress ? played : rest;
+      ctx.fillRect(i * bw, (h - bh) / 2, Math.max(1, bw - dpr), bh);
+    }
+  }
+  // timestamped comments
+  if (a?.duration && state.player.markers.length) {
+    ctx.fillStyle = '#fff';
+    state.player.markers.forEach(c=> ctx.fillRect(Math.round(c.time / a.duration * w) - dpr, 0, 2 * dpr, Math.max(3 * dpr, h / 5)));
+  }
+  canvas.setAttribute('aria-valuenow', Math.round(progress * 100));
+}
+
+function drawScrubbers() { scrubbers.forEach(drawScrubber); }
+
+// the timestamped comment under the pointer, within a few pixels
+function markerNear(canvas, fraction) {
+  const dur = state.player.audioEl?.duration; if (!dur) return null;
+  const tolerance = 6 / (canvas.clientWidth || 1);
+  return state.player.markers.find(c=> Math.abs(c.time / dur - fraction) <= tolerance) || null;
+}
+
+function commentMarkerLabel(c) { return `${formatTime(c.time)} · ${findUser(c.user)?.displayName || c.user}: ${c.text}`; }
+
+/* ---------------------------
+   Lyrics: plain text or LRC ('[mm:ss.xx] line'), shown karaoke-style in the fullscreen player
+   --------------------------- */
+const MAX_LYRICS_LENGTH = 20000;
+const LRC_STAMP = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+
+// stored as the text the artist gave (song.lyrics); parsed whenever it's shown
+function normalizeLyrics(text) {
+  const t = String(text || '').replace(/\r\n?/g, '\n').trim();
+  return t ? t.slice(0, MAX_LYRICS_LENGTH) : null;
+}
+
+// { synced, lines: [{ time, text }] }; a line with several stamps repeats at each of them
+function parseLyrics(text) {
+  const timed = []; const plain = []; let offset = 0;
+  for (const raw of String(text || '').split('\n')) {
+    const off = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+    if (off) { offset = Number(off[1]) / 1000; continue; }
+    if (/^\s*\[[a-z]+:[^\]]*\]\s*$/i.test(raw)) continue; // [ar:…], [ti:…] and other id tags
+    const stamps = [...raw.matchAll(LRC_STAMP)];
+    const line = raw.replace(LRC_STAMP, '').trim();
+    if (stamps.length) stamps.forEach(s=> timed.push({ time: Number(s[1]) * 60 + Number(s[2].replace(':', '.')), text: line }));
+    else plain.push({ time: null, text: line });
+  }
+  // positive offsets make the lines appear earlier
+  if (timed.length) return { synced: true, lines: timed.map(l=> ({ ...l, time: Math.max(0, l.time - offset) })).sort((a, b)=> a.time - b.time) };
+  return { synced: false, lines: plain };
+}
+
+function lyricsKind(text) { return text ? (parseLyrics(text).synced ? 'LRC' : 'Text') : ''; }
+
+async function readLyricsFile(file) {
+  if (file.size > MAX_LYRICS_LENGTH * 4) return {ok:false, msg:`${file.name} is too large for a lyrics file`};
+  return {ok:true, lyrics: normalizeLyrics(await file.text())};
+}
+
+// a file input that loads .lrc/.txt into a textarea
+function bindLyricsFile(input, textarea) {
+  if (!input) return;
+  input.onchange = async ()=> {
+    const file = input.files[0]; if (!file) return;
+    const res = await readLyricsFile(file);
+    if (!res.ok) { toast(res.msg); input.value = ''; return; }
+    textarea.value = res.lyrics || '';
+  };
+}
+
+function renderLyrics(song) {
+  const box = $('#fsLyrics'); if (!box) return;
+  const { synced, lines } = parseLyrics(song.lyrics);
+  state.player.lyrics = synced ? lines : null;
+  state.player.lyricLine = -1;
+  box.innerHTML = '';
+  box.classList.toggle('hidden', lines.length === 0);
+  box.classList.toggle('synced', synced);
+  lines.forEach((l, i)=> {
+    const el = document.createElement('p'); el.className = 'lyric-line';
+    el.textContent = l.text || (synced ? '♪' : '\u00a0'); // instrumental break / stanza gap
+    if (synced) { el.dataset.index = i; el.title = `Jump to ${formatTime(l.time)}`; }
+    box.appendChild(el);
+  });
+  syncLyrics(true);
+}
+
+// highlights the line being sung and keeps it in the middle of the panel
+function syncLyrics(force=false) {
+  const p = state.player; const lines = p.lyrics;
+  const box = $('#fsLyrics');
+  if (!lines || !box) return;
+  const ct = p.audioEl?.currentTime || 0;
+  let idx = -1;
+  for (let i=0; i<lines.length && lines[i].time <= ct; i++) idx = i;
+  if (idx === p.lyricLine && !force) return;
+  box.children[p.lyricLine]?.classList.remove('active');
+  p.lyricLine = idx;
+  const el = box.children[idx];
+  if (!el) { if (force) box.scrollTop = 0; return; }
+  el.classList.add('active');
+  if (box.clientHeight) box.scrollTo({ top: el.offsetTop - (box.clientHeight - el.offsetHeight) / 2, behavior: force ? 'auto' : 'smooth' });
+}
+
+function initLyrics() {
+  $('#fsLyrics')?.addEventListener('click', (e)=> {
+    const line = e.target.closest('.lyric-line[data-index]');
+    const lines = state.player.lyrics; const a = state.player.audioEl;
+    if (!line || !lines || !a?.duration) return;
+    a.currentTime = Math.min(a.duration, lines[Number(line.dataset.index)].time);
+    syncLyrics(true);
+  });
+}
+
+/* ---------------------------
+   Media Session (media keys, lock screen) and keyboard shortcuts
+   --------------------------- */
+const SEEK_STEP = 5; // seconds
+const VOLUME_STEP = 0.1;
+let mediaArtworkUrl = null;
+
+function seekBy(seconds) {
+  const a = state.player.audioEl; if (!a?.duration) return;
+  a.currentTime = Math.min(a.duration, Math.max(0, a.currentTime + seconds));
+  drawScrubbers();
+}
+
+function changeVolume(delta) {
+  const a = state.player.audioEl; if (!a) return;
+  const v = Math.round(Math.min(1, Math.max(0, a.volume + delta)) * 100) / 100;
+  setVolume(v);
+  const input = $('#volume'); if (input) input.value = v;
+  savePlayerState();
+  toast(`Volume ${Math.round(v * 100)}%`);
+}
+
+function toggleLikeCurrent() { $('#likeBtn')?.click(); }
+
+async function updateMediaSession(song) {
+  if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+  const album = state.meta.albums.find(a=>a.id===song.albumId);
+  const artist = state.meta.users.find(u=>u.username===song.artist);
+  navigator.mediaSession.metadata = new MediaMetadata({ title: song.title, artist: artist?.displayName || song.artist, album: album?.title || '' });
+  const blob = song.coverAssetId ? await idbGet(song.coverAssetId).catch(()=>null) : null;
+  if (state.player.currentSongId !== song.id) return;
+  if (mediaArtworkUrl) URL.revokeObjectURL(mediaArtworkUrl);
+  mediaArtworkUrl = blob ? URL.createObjectURL(blob) : null;
+  if (mediaArtworkUrl) navigator.mediaSession.metadata.artwork = [{ src: mediaArtworkUrl, sizes: '1000x1000', type: blob.type || 'image/jpeg' }];
+}
+
+function updateMediaPosition() {
+  const a = state.player.audioEl;
+  if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !a?.duration || !isFinite(a.duration)) return;
+  try { navigator.mediaSession.setPositionState({ duration: a.duration, position: Math.min(a.currentTime, a.duration), playbackRate: a.playbackRate || 1 }); }
+  catch (e) { console.warn('media position', e); }
+}
+
+function initMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  const handlers = {
+    play: ()=> { if (state.player.audioEl?.paused) togglePlay(); },
+    pause: ()=> { if (state.player.audioEl && !state.player.audioEl.paused) togglePlay(); },
+    previoustrack: ()=> playPrev(),
+    nexttrack: ()=> playNext(),
+    seekbackward: (d)=> seekBy(-(d.seekOffset || SEEK_STEP)),
+    seekforward: (d)=> seekBy(d.seekOffset || SEEK_STEP),
+    seekto: (d)=> { const a = state.player.audioEl; if (a?.duration) { a.currentTime = Math.min(a.duration, d.seekTime); drawScrubbers(); updateMediaPosition(); } }
+  };
+  // browsers throw for actions they don't support
+  Object.entries(handlers).forEach(([action, fn])=> { try { navigator.mediaSession.setActionHandler(action, fn); } catch (e) { console.warn('media session', action, e); } });
+}
+
+const SHORTCUTS = [
+  { keys: ['Space', 'k'], label: 'Space / K', desc: 'Play / pause', run: ()=> togglePlay() },
+  { keys: ['ArrowRight'], label: '→', desc: `Forward ${SEEK_STEP} s`, run: ()=> seekBy(SEEK_STEP) },
+  { keys: ['ArrowLeft'], label: '←', desc: `Back ${SEEK_STEP} s`, run: ()=> seekBy(-SEEK_STEP) },
+  { keys: ['ArrowUp'], label: '↑', desc: 'Volume up', run: ()=> changeVolume(VOLUME_STEP) },
+  { keys: ['ArrowDown'], label: '↓', desc: 'Volume down', run: ()=> changeVolume(-VOLUME_STEP) },
+  { keys: ['n'], label: 'N', desc: 'Next track', run: ()=> playNext() },
+  { keys: ['p'], label: 'P', desc: 'Previous track', run: ()=> playPrev() },
+  { keys: ['l'], label: 'L', desc: 'Like / unlike', run: ()=> toggleLikeCurrent() },
+  { keys: ['/'], label: '/', desc: 'Search', run: ()=> { const i = $('#globalSearchInput'); i?.focus(); i?.select(); } },
+  { keys: ['?'], label: '?', desc: 'Show these shortcuts', run: ()=> openShortcutHelp() }
+];
+
+function shortcutFor(e) {
+  const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  return SHORTCUTS.find(s=> s.keys.includes(key) || s.keys.includes(e.key));
+}
+
+function initShortcuts() {
+  document.addEventListener('keydown', (e)=> {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    const t = e.target;
+    // typing, and keys the focused control handles itself, win over shortcuts
+    if (t.closest?.('input, textarea, select, [contenteditable="true"], [role="slider"]')) return;
+    if (e.key === ' ' && t.closest?.('button, a')) return;
+    const sc = shortcutFor(e); if (!sc) return;
+    e.preventDefault();
+    sc.run();
+  });
+}
+
+function openShortcutHelp() {
+  if ($('#shortcutHelp')) return;
+  const modal = document.createElement('div'); modal.className='modal'; modal.id = 'shortcutHelp';
+  modal.innerHTML = `<div class="modal-inner" style="width:min(420px,96%)"><h3>Keyboard shortcuts</h3>
+    <table class="shortcuts">${SHORTCUTS.map(s=>`<tr><td><kbd>${escapeHtml(s.label)}</kbd></td><td>${escapeHtml(s.desc)}</td></tr>`).join('')}
+    <tr><td><kbd>Esc</kbd></td><td>Close this overlay</td></tr></table>
+    <div style="display:flex;justify-content:flex-end;margin-top:12px"><button id="shortcutClose">Close</button></div></div>`;
+  document.body.appendChild(modal);
+  const close = () => { modal.remove(); document.removeEventListener('keydown', onKey, true); };
+  const onKey = (e) => { if (e.key === 'Escape' || e.key === '?') { e.preventDefault(); e.stopPropagation(); close(); } };
+  document.addEventListener('keydown', onKey, true);
+  modal.addEventListener('click', (e)=> { if (e.target === modal) close(); });
+  modal.querySelector('#shortcutClose').addEventListener('click', close);
+  modal.querySelector('#shortcutClose').focus();
+}
+
+/* ---------------------------
+   Queue: shuffle, repeat, play next / add to queue
+   --------------------------- */
+// mulberry32: tiny seeded PRNG so a shuffle can be reproduced from its seed
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWithSeed(arr, seed) {
+  const rnd = seededRandom(seed);
+  const out = arr.slice();
+  for (let i=out.length-1;i>0;i--) {
+    const j = Math.floor(rnd() * (i+1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// the song being started always goes first, the rest follow in seeded order
+function shuffledQueue(ids, firstId, seed) {
+  const at = ids.indexOf(firstId);
+  const rest = at >= 0 ? ids.filter((_, i)=> i !== at) : ids.slice();
+  const shuffled = shuffleWithSeed(rest, seed);
+  return at >= 0 ? [firstId, ...shuffled] : shuffled;
+}
+
+function setQueue(songIds, startId=null) {
+  const p = state.player;
+  p.baseQueue = songIds.slice();
+  p.queue = p.shuffle ? shuffledQueue(p.baseQueue, startId, p.shuffleSeed) : p.baseQueue.slice();
+}
+
+function toggleShuffle() {
+  const p = state.player;
+  p.shuffle = !p.shuffle;
+  const cur = p.currentSongId;
+  if (p.shuffle) {
+    // a fresh seed per toggle; the order stays the same until shuffle is toggled again
+    p.shuffleSeed = Math.floor(Math.random() * 4294967296);
+    p.queue = shuffledQueue(p.baseQueue, cur, p.shuffleSeed);
+    p.index = cur ? Math.max(0, p.queue.indexOf(cur)) : 0;
+  } else {
+    p.queue = p.baseQueue.slice();
+    p.index = cur ? Math.max(0, p.queue.indexOf(cur)) : 0;
+  }
+  updateModeButtons();
+  renderQueueDrawer();
+  savePlayerState();
+  toast(p.shuffle ? 'Shuffle on' : 'Shuffle off');
+}
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+function cycleRepeat() {
+  const p = state.player;
+  p.repeat = REPEAT_MODES[(REPEAT_MODES.indexOf(p.repeat) + 1) % REPEAT_MODES.length];
+  updateModeButtons();
+  savePlayerState();
+  toast(`Repeat ${p.repeat}`);
+}
+
+function updateModeButtons() {
+  const p = state.player;
+  const sh = $('#shuffleBtn'); const rp = $('#repeatBtn');
+  if (sh) { sh.classList.toggle('on', p.shuffle); sh.title = p.shuffle ? 'Shuffle: on' : 'Shuffle: off'; }
+  if (rp) {
+    rp.classList.toggle('on', p.repeat !== 'off');
+    rp.textContent = p.repeat === 'one' ? '↻1' : '↻';
+    rp.title = `Repeat: ${p.repeat}`;
+  }
+}
+
+function queuePlayNext(songId) {
+  const p = state.player;
+  if (!p.currentSongId) { playSong(songId, [songId]); return; }
+  p.queue.splice(p.index + 1, 0, songId);
+  const baseAt = p.baseQueue.indexOf(p.currentSongId);
+  p.baseQueue.splice(baseAt + 1, 0, songId);
+  renderQueueDrawer();
+  savePlayerState();
+  toast('Playing next');
+}
+
+function queueAdd(songId) {
+  const p = state.player;
+  if (!p.currentSongId) { playSong(songId, [songId]); return; }
+  p.queue.push(songId);
+  p.baseQueue.push(songId);
+  renderQueueDrawer();
+  savePlayerState();
+  toast('Added to queue');
+}
+
+function moveInQueue(from, to) {
+  const p = state.player;
+  const n = p.queue.length;
+  if (from < 0 || from >= n || to < 0 || to >= n || from === to) return;
+  const [moved] = p.queue.splice(from, 1);
+  p.queue.splice(to, 0, moved);
+  // keep pointing at the track that is playing
+  if (from === p.index) p.index = to;
+  else if (from < p.index && to >= p.index) p.index--;
+  else if (from > p.index && to <= p.index) p.index++;
+  if (!p.shuffle) p.baseQueue = p.queue.slice();
+  renderQueueDrawer();
+  savePlayerState();
+}
+
+function removeFromQueue(i) {
+  const p = state.player;
+  if (i < 0 || i >= p.queue.length || i === p.index) return;
+  const [removed] = p.queue.splice(i, 1);
+  if (i < p.index) p.index--;
+  const baseAt = p.baseQueue.indexOf(removed);
+  if (baseAt >= 0) p.baseQueue.splice(baseAt, 1);
+  renderQueueDrawer();
+  savePlayerState();
+}
+
+function createQueueButtons(songId) {
+  const wrap = document.createElement('span'); wrap.className = 'queue-actions';
+  [['⤵', 'Play next', queuePlayNext], ['≡+', 'Add to queue', queueAdd]].forEach(([label, title, fn])=> {
+    const b = document.createElement('button'); b.type = 'button'; b.className = 'add-pl';
+    b.textContent = label; b.title = title;
+    b.addEventListener('click', (e)=> { e.stopPropagation(); fn(songId); });
+    b.addEventListener('dblclick', (e)=> e.stopPropagation());
+    wrap.appendChild(b);
+  });
+  return wrap;
+}
+
+/* ---------------------------
+   Play events: one record per playback, kept up to date while it plays
+   --------------------------- */
+const SKIP_SECONDS = 30; // leaving before this (or before half of a shorter track) counts as a skip
+const PLAY_SAVE_INTERVAL = 15000;
+let playSavedAt = 0;
+
+function beginPlay(songId) {
+  endPlay();
+  const m = state.meta;
+  const rec = { id: `play_${m.nextIds.play++}`, songId, user: state.currentUser?.username || null, at: Date.now(), listened: 0, finished: false, skipped: false };
+  m.plays.push(rec);
+  state.player.play = rec;
+  state.player.lastTime = state.player.audioEl?.currentTime || 0;
+  playSavedAt = Date.now();
+  saveMeta(m);
+}
+
+// called from 'timeupdate'; seeks jump further than one tick and are not counted as listening
+function trackListening(currentTime) {
+  const p = state.player; const rec = p.play;
+  if (!rec) return;
+  const delta = currentTime - p.lastTime;
+  p.lastTime = currentTime;
+  if (delta > 0 && delta < 2) rec.listened += delta;
+  if (Date.now() - playSavedAt > PLAY_SAVE_INTERVAL) { playSavedAt = Date.now(); touchPlay(rec); saveMeta(state.meta); }
+}
+
+function endPlay({ finished = false } = {}) {
+  const rec = state.player.play;
+  if (!rec) return;
+  state.player.play = null;
+  const duration = state.meta.songs.find(s=>s.id===rec.songId)?.duration || 0;
+  rec.listened = Math.round(rec.listened * 10) / 10;
+  rec.finished = finished;
+  rec.skipped = !finished && rec.listened < Math.min(SKIP_SECONDS, duration / 2);
+  touchPlay(rec);
+  saveMeta(state.meta);
+}
+
+function userPlays(username=state.currentUser?.username || null) {
+  return state.meta.plays.filter(p=>p.user===username);
+}
+
+// newest first, each song once
+function recentlyPlayedIds(username=state.currentUser?.username || null, limit=50) {
+  const ids = [];
+  const plays = userPlays(username);
+  for (let i=plays.length-1; i>=0 && ids.length<limit; i--) if (!ids.includes(plays[i].songId)) ids.push(plays[i].songId);
+  return ids;
+}
+
+// share of plays that were skipped; plays recorded before listening was tracked don't count. null when there are none
+function skipRate(plays) {
+  const tracked = plays.filter(p=>typeof p.listened === 'number');
+  return tracked.length ? tracked.filter(p=>p.skipped).length / tracked.length : null;
+}
+
+/* ---------------------------
+   Playback state persistence (queue, track, position, volume, modes)
+   --------------------------- */
+const PLAYER_KEY = 'music_app_player_v1';
+const PLAYER_SAVE_INTERVAL = 2000; // at most one write per interval while playing
+let playerSaveTimer = null;
+let playerSavedAt = 0;
+
+function playerSnapshot() {
+  const p = state.player; const a = p.audioEl;
+  return {
+    queue: p.queue, baseQueue: p.baseQueue, index: p.index, currentSongId: p.currentSongId,
+    position: a ? (a.currentTime || 0) : 0, volume: a ? a.volume : 1,
+    shuffle: p.shuffle, shuffleSeed: p.shuffleSeed, repeat: p.repeat
+  };
+}
+
+// throttled; now: write immediately (page is going away)
+function savePlayerState({ now = false } = {}) {
+  const write = () => {
+    clearTimeout(playerSaveTimer); playerSaveTimer = null; playerSavedAt = Date.now();
+    try { localStorage.setItem(PLAYER_KEY, JSON.stringify(playerSnapshot())); } catch (e) { console.warn('player save', e); }
+  };
+  if (now) { write(); return; }
+  if (playerSaveTimer) return;
+  playerSaveTimer = setTimeout(write, Math.max(0, PLAYER_SAVE_INTERVAL - (Date.now() - playerSavedAt)));
+}
+
+async function restorePlayerState() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(PLAYER_KEY) || 'null'); } catch (e) { console.warn('player restore', e); }
+  if (!saved) return;
+  const p = state.player;
+  const known = (id) => state.meta.songs.some(s=>s.id===id);
+  p.queue = (saved.queue || []).filter(known);
+  p.baseQueue = (saved.baseQueue || saved.queue || []).filter(known);
+  p.shuffle = !!saved.shuffle;
+  p.shuffleSeed = (saved.shuffleSeed || 0) >>> 0;
+  p.repeat = REPEAT_MODES.includes(saved.repeat) ? saved.repeat : 'off';
+  const vol = Math.min(1, Math.max(0, Number(saved.volume)));
+  if (p.audioEl && isFinite(vol)) { setVolume(vol); const v = $('#volume'); if (v) v.value = vol; }
+  updateModeButtons();
+  if (saved.currentSongId && known(saved.currentSongId)) {
+    // queue indexes may have shifted if songs were removed meanwhile
+    const idx = p.queue[saved.index] === saved.currentSongId ? saved.index : null;
+    await cueSong(saved.currentSongId, { index: idx, position: Number(saved.position) || 0 });
+  }
 }
 
 /* ---------------------------
-   Queue panel simple UI
+   Queue drawer (stays open while you browse)
    --------------------------- */
-function openQueuePanel() {
-  const q = state.player.queue || [];
-  const root = document.createElement('div');
-  root.style.position='fixed'; root.style.right='12px'; root.style.bottom='120px'; root.style.background='#111';
-  root.style.padding='12px'; root.style.borderRadius='8px'; root.style.maxHeight='300px'; root.style.overflow='auto'; root.style.zIndex=999;
-  root.innerHTML = `<b>Queue</b><div></div><button id="closeQueue">Close</button>`;
-  const listEl = root.querySelector('div');
-  q.forEach((sid, i)=> {
+function toggleQueueDrawer() {
+  const d = $('#queueDrawer'); if (!d) return;
+  d.classList.toggle('hidden');
+  renderQueueDrawer();
+}
+
+function renderQueueDrawer() {
+  const d = $('#queueDrawer'); if (!d || d.classList.contains('hidden')) return;
+  const list = $('#queueList', d); list.innerHTML = '';
+  const p = state.player;
+  if (p.queue.length === 0) { list.innerHTML = '<small>Queue is empty</small>'; return; }
+  let dragFrom = null;
+  p.queue.forEach((sid, i)=> {
     const s = state.meta.songs.find(x=>x.id===sid);
-    const el = document.createElement('div');
-    el.textContent = `${i+1}. ${s ? s.title : sid}`;
-    el.style.padding='6px';
-    el.addEventListener('click', ()=> { state.player.index=i; playSong(sid,q); document.body.removeChild(root); });
-    listEl.appendChild(el);
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.classList.toggle('current', i === p.index);
+    row.innerHTML = `<div class="track-no"></div><div style="flex:1"><div></div><small></small></div>`;
+    row.children[0].textContent = i === p.index ? '▶' : i+1;
+    row.children[1].firstChild.textContent = s ? s.title : sid;
+    row.children[1].lastChild.textContent = s ? s.artist : '';
+    row.addEventListener('dblclick', ()=> { p.index = i; playSong(sid, null, { index: i }); });
+    row.draggable = true;
+    row.addEventListener('dragstart', (e)=> { dragFrom = i; e.dataTransfer.effectAllowed = 'move'; row.classList.add('dragging'); });
+    row.addEventListener('dragend', ()=> row.classList.remove('dragging'));
+    row.addEventListener('dragover', (e)=> { e.preventDefault(); row.classList.add('drop-target'); });
+    row.addEventListener('dragleave', ()=> row.classList.remove('drop-target'));
+    row.addEventListener('drop', (e)=> {
+      e.preventDefault(); row.classList.remove('drop-target');
+      if (dragFrom !== null) moveInQueue(dragFrom, i);
+      dragFrom = null;
+    });
+    if (i !== p.index) {
+      const rm = document.createElement('button'); rm.textContent = '✕'; rm.title = 'Remove from queue';
+      rm.addEventListener('click', ()=> removeFromQueue(i));
+      row.appendChild(rm);
+    }
+    list.appendChild(row);
   });
-  root.querySelector('#closeQueue').addEventListener('click', ()=> document.body.removeChild(root));
-  document.body.appendChild(root);
 }
 
 /* ---------------------------
@@ -453,91 +2293,1542 @@ function formatTime(sec) {
 function openUploadModal() {
   const modal = $('#uploadModal');
   if (!modal) return;
-  // populate artist select
+  if (!state.currentUser) { toast('Login first'); return; }
+  // populate artist select: you upload as yourself, admins may upload for anyone
   const sel = $('#metaArtist'); if (sel) {
     sel.innerHTML = '';
-    state.meta.users.forEach(u=> {
+    (isAdmin() ? state.meta.users : [state.currentUser]).forEach(u=> {
       const opt = document.createElement('option'); opt.value = u.username; opt.textContent = u.displayName || u.username;
       sel.appendChild(opt);
     });
+    sel.value = state.currentUser.username;
+    sel.disabled = !isAdmin();
   }
   modal.classList.remove('hidden');
 
-  const form = $('#uploadForm');
-  if (!form) return;
-  form.onsubmit = async (e) => {
-    e.preventDefault();
-    const audioFile = $('#audioFile')?.files[0];
-    const coverFile = $('#coverFile')?.files[0];
-    if (!audioFile || !coverFile) { toast('Select files'); return; }
-    // check cover size
-    const img = await fileToImage(coverFile);
-    if (img.width < 1000 || img.height < 1000) { toast('Cover too small (min 1000x1000)'); return; }
-    const title = $('#metaTitle').value.trim();
-    const artist = $('#metaArtist').value;
-    const albumName = $('#metaAlbum').value.trim() || 'Single';
-    const genre = $('#metaGenre').value;
-    const lang = $('#metaLang').value;
-    const explicit = $('#metaExplicit').checked;
-
-    // create ids
-    const songId = `song_${state.meta.nextIds.song++}`;
-    const albumId = `album_${state.meta.nextIds.album++}`;
-
-    // store blobs
-    await idbPut(`audio:${songId}`, await fileToBlob(audioFile));
-    await idbPut(`image:album:${albumId}`, await imageToBlob(img));
-    // update meta
-    state.meta.albums.push({id: albumId, title: albumName, artist, year: (new Date()).getFullYear(), coverAssetId:`image:album:${albumId}`, tracks: [songId]});
-    state.meta.songs.push({
-      id: songId, title, artist, albumId, duration: Math.round( (audioFile.size/100000) || 120 ), assetId:`audio:${songId}`,
-      coverAssetId:`image:album:${albumId}`, genre, language:lang, explicit, uploadedBy: artist
-    });
-    saveMeta(state.meta);
-    toast('Upload completed');
-    modal.classList.add('hidden');
-    renderPlaylists(); renderHome();
-  };
+  const form = $('#uploadForm');
+  if (!form) return;
+  // anything the user types wins over values read from the file's tags
+  ['#metaTitle','#metaArtist','#metaAlbum','#metaYear','#metaGenre'].forEach(sel=> {
+    const el = $(sel); if (el) el.oninput = ()=> { delete el.dataset.auto; el.dataset.touched = '1'; };
+  });
+  $all('input[name="uploadMode"]').forEach(r=> r.onchange = ()=> applyUploadMode());
+  if (sel) sel.onchange = ()=> { sel.dataset.touched = '1'; delete sel.dataset.auto; fillAlbumTargets(); };
+  const target = $('#metaAlbumTarget');
+  if (target) target.onchange = ()=> applyAlbumTarget();
+  const audioInput = $('#audioFile');
+  if (audioInput) audioInput.onchange = ()=> prefillFromAudioFiles(Array.from(audioInput.files));
+  const coverInput = $('#coverFile');
+  if (coverInput) coverInput.onchange = ()=> showCoverPreview(coverInput.files[0] || firstEmbeddedPicture());
+  bindLyricsFile($('#lyricsFile'), $('#metaLyrics'));
+  applyUploadMode();
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try { await submitUpload(); }
+    catch (err) { console.error(err); toast('Upload failed'); }
+    finally { if (submitBtn) submitBtn.disabled = false; }
+  };
+}
+
+function uploadMode() { return $('input[name="uploadMode"]:checked')?.value || 'single'; }
+
+function applyUploadMode() {
+  const album = uploadMode() === 'album';
+  const audioInput = $('#audioFile');
+  if (audioInput && audioInput.multiple !== album) {
+    audioInput.multiple = album;
+    audioInput.value = '';
+    uploadDrafts = [];
+    renderUploadTrackRows();
+    const st = $('#tagStatus'); if (st) st.textContent = '';
+  }
+  $('#metaTitleLabel')?.classList.toggle('hidden', album);
+  $('#metaLyricsLabel')?.classList.toggle('hidden', album); // album tracks take a lyrics file each
+  $('#metaFeatLabel')?.classList.toggle('hidden', album); // ...and their own featured artists
+  const legend = $('#creditsLegend'); if (legend) legend.textContent = `${album ? 'Credits for every track' : 'Credits'} (optional, comma-separated)`;
+  const title = $('#metaTitle'); if (title) title.required = !album;
+  $('#trackList')?.classList.toggle('hidden', !album);
+  fillAlbumTargets();
+}
+
+// existing albums of the selected artist you may edit can be extended instead of creating a new one
+function fillAlbumTargets() {
+  const target = $('#metaAlbumTarget'); if (!target) return;
+  const artist = $('#metaArtist')?.value;
+  const prev = target.value;
+  target.innerHTML = '<option value="">New album</option>';
+  state.meta.albums.filter(a=> a.artist === artist && canEditAlbum(a)).forEach(a=> {
+    const opt = document.createElement('option'); opt.value = a.id;
+    opt.textContent = `${a.title} (${a.tracks.length} track${a.tracks.length === 1 ? '' : 's'})`;
+    target.appendChild(opt);
+  });
+  target.value = Array.from(target.options).some(o=>o.value===prev) ? prev : '';
+  applyAlbumTarget();
+}
+
+function applyAlbumTarget() {
+  const existing = !!$('#metaAlbumTarget')?.value;
+  $('#metaAlbumLabel')?.classList.toggle('hidden', existing);
+  $('#metaYearLabel')?.classList.toggle('hidden', existing);
+  $('#coverLabel')?.classList.toggle('hidden', existing); // an existing album keeps its cover
+  renderUploadTrackRows();
+}
+
+function nextTrackNo(album, disc=1) {
+  if (!album) return 1;
+  const nums = album.tracks.map(id=> state.meta.songs.find(s=>s.id===id)).filter(s=> s && (s.discNo || 1) === disc).map(s=> s.trackNo || 0);
+  return (nums.length ? Math.max(...nums) : 0) + 1;
+}
+
+function sortAlbumTracks(album) {
+  const pos = (id) => { const s = state.meta.songs.find(x=>x.id===id); return s ? [s.discNo || 1, s.trackNo || 0] : [Infinity, Infinity]; };
+  album.tracks.sort((x, y)=> { const a = pos(x), b = pos(y); return a[0] - b[0] || a[1] - b[1]; });
+}
+
+function renderUploadTrackRows() {
+  const root = $('#trackList'); if (!root) return;
+  root.innerHTML = '';
+  if (uploadMode() !== 'album' || uploadDrafts.length === 0) return;
+  const album = state.meta.albums.find(a=>a.id===$('#metaAlbumTarget')?.value);
+  const head = document.createElement('div'); head.className = 'upload-track head';
+  head.innerHTML = '<span>Disc</span><span>#</span><span>Title</span><span>Featuring</span><span>Length</span><span>Lyrics</span>';
+  root.appendChild(head);
+  uploadDrafts.forEach((d, i)=> {
+    const row = document.createElement('div'); row.className = 'upload-track';
+    row.innerHTML = `<input class="ut-disc" type="number" min="1" /><input class="ut-no" type="number" min="1" /><input class="ut-title" required /><input class="ut-feat" placeholder="Comma-separated" /><small class="ut-dur"></small>
+      <label class="ut-lyrics" title="Lyrics file (.lrc or .txt)"><span></span><input type="file" accept=".lrc,.txt,text/plain" hidden /></label>`;
+    const disc = d.disc || 1;
+    row.querySelector('.ut-disc').value = disc;
+    row.querySelector('.ut-no').value = d.track || (nextTrackNo(album, disc) + i);
+    row.querySelector('.ut-title').value = d.title || d.file.name.replace(/\.[^.]+$/, '');
+    row.querySelector('.ut-dur').textContent = d.duration ? formatTime(d.duration) : '…';
+    const feat = row.querySelector('.ut-feat');
+    feat.value = d.featuring || '';
+    feat.addEventListener('input', ()=> { d.featuring = feat.value; });
+    const lyrics = row.querySelector('.ut-lyrics span');
+    lyrics.textContent = d.lyrics ? `${lyricsKind(d.lyrics)} ✓` : 'Add';
+    row.querySelector('.ut-lyrics input').addEventListener('change', async (e)=> {
+      const file = e.target.files[0]; if (!file) return;
+      const res = await readLyricsFile(file);
+      if (!res.ok) { toast(res.msg); return; }
+      d.lyrics = res.lyrics;
+      lyrics.textContent = d.lyrics ? `${lyricsKind(d.lyrics)} ✓` : 'Add';
+    });
+    row.title = d.file.name;
+    root.appendChild(row);
+  });
+}
+
+function readUploadTrackRows() {
+  return $all('#trackList .upload-track:not(.head)').map((row, i)=> ({
+    draft: uploadDrafts[i],
+    title: row.querySelector('.ut-title').value.trim(),
+    trackNo: parseInt(row.querySelector('.ut-no').value, 10) || i + 1,
+    discNo: parseInt(row.querySelector('.ut-disc').value, 10) || 1,
+    lyrics: uploadDrafts[i].lyrics || null,
+    featuring: parseCredits({ featuring: row.querySelector('.ut-feat').value }).featuring
+  }));
+}
+
+function firstEmbeddedPicture() { return uploadDrafts.find(d=>d.picture)?.picture || null; }
+
+async function submitUpload() {
+  const m = state.meta;
+  if (!state.currentUser) { toast('Login first'); return; }
+  const mode = uploadMode();
+  const files = Array.from($('#audioFile')?.files || []);
+  const coverFile = $('#coverFile')?.files[0];
+  if (!files.length) { toast('Select an audio file'); return; }
+  // drafts are read on file selection; re-read any that are missing or stale
+  const drafts = await Promise.all(files.map((file, i)=> uploadDrafts[i] && uploadDrafts[i].file === file ? uploadDrafts[i] : readUploadDraft(file)));
+  uploadDrafts = drafts;
+  const unreadable = drafts.find(d=>!d.duration);
+  if (unreadable) { toast(`Could not read ${unreadable.file.name}`); return; }
+
+  const artist = isAdmin() ? $('#metaArtist').value : state.currentUser.username;
+  if (!findUser(artist)) { toast('Select an artist'); return; }
+  const targetId = $('#metaAlbumTarget')?.value;
+  const existing = targetId ? m.albums.find(a=> a.id === targetId && a.artist === artist) || null : null;
+  if (targetId && !canEditAlbum(existing)) { toast('You cannot add tracks to that album'); return; }
+  const genre = $('#metaGenre').value;
+  const lang = $('#metaLang').value;
+  const explicit = $('#metaExplicit').checked;
+  const credits = parseCredits(Object.fromEntries($all('#uploadForm [data-credit]').map(i=> [i.dataset.credit, i.value])));
+
+  let tracks;
+  if (mode === 'album') {
+    tracks = readUploadTrackRows();
+    const untitled = tracks.find(t=>!t.title);
+    if (untitled) { toast(`Title missing for ${untitled.draft.file.name}`); return; }
+  } else {
+    const title = $('#metaTitle').value.trim();
+    if (!title) { toast('Title required'); return; }
+    tracks = [{ draft: drafts[0], title, discNo: 1, trackNo: existing ? nextTrackNo(existing) : 1, lyrics: normalizeLyrics($('#metaLyrics')?.value), featuring: credits.featuring }];
+  }
+
+  let album = existing;
+  if (!album) {
+    const typed = $('#metaAlbum').value.trim();
+    if (mode === 'album' && !typed) { toast('Album name required'); return; }
+    // a typed name that matches one of the artist's albums you may edit extends it instead of duplicating it
+    album = typed ? m.albums.find(a=> a.artist === artist && a.title.toLowerCase() === typed.toLowerCase() && canEditAlbum(a)) : null;
+    if (album && mode === 'single') tracks[0].trackNo = nextTrackNo(album);
+  }
+  // the upload form only sets the cover of a new album; existing ones change theirs in the album editor
+  let img = null;
+  if (!album) {
+    const coverSource = coverFile || firstEmbeddedPicture();
+    if (!coverSource) { toast('Select a cover image (none embedded in the file)'); return; }
+    img = await fileToImage(coverSource);
+    if (img.width < MIN_COVER_SIZE || img.height < MIN_COVER_SIZE) { toast(`${coverFile ? 'Cover' : 'Embedded cover'} too small (min ${MIN_COVER_SIZE}x${MIN_COVER_SIZE})`); return; }
+  }
+  if (!album) {
+    const albumId = `album_${m.nextIds.album++}`;
+    const year = parseInt($('#metaYear')?.value, 10) || (new Date()).getFullYear();
+    album = { id: albumId, title: $('#metaAlbum').value.trim() || tracks[0].title, artist, year, coverAssetId:`image:album:${albumId}`, tracks: [] };
+    m.albums.push(album);
+  }
+  // store blobs
+  if (img) await idbPut(album.coverAssetId, await imageToBlob(img));
+  const songIds = [];
+  for (const t of tracks) {
+    const songId = `song_${m.nextIds.song++}`;
+    songIds.push(songId);
+    await idbPut(`audio:${songId}`, await fileToBlob(t.draft.file));
+    const waveformAssetId = await storeWaveform(songId, t.draft.peaks);
+    m.songs.push({
+      id: songId, title: t.title, artist, albumId: album.id, trackNo: t.trackNo, discNo: t.discNo,
+      duration: Math.round(t.draft.duration), loudness: t.draft.loudness ?? null, assetId:`audio:${songId}`, waveformAssetId,
+      coverAssetId: album.coverAssetId, genre, language:lang, explicit, lyrics: t.lyrics, credits: { ...credits, featuring: t.featuring }, uploadedBy: artist,
+      uploadedAt: Date.now(), ratings: {}
+    });
+    album.tracks.push(songId);
+  }
+  sortAlbumTracks(album);
+  notifyFollowers(artist, { actor: artist, albumId: album.id, songIds });
+  saveMeta(m);
+  toast(tracks.length > 1 ? `Uploaded ${tracks.length} tracks to ${album.title}` : 'Upload completed');
+  resetUploadForm();
+  closeUploadModal();
+  renderMainRoute();
+}
+
+function resetUploadForm() {
+  $('#uploadForm')?.reset();
+  $all('#uploadForm [data-auto], #uploadForm [data-touched]').forEach(el=> { delete el.dataset.auto; delete el.dataset.touched; });
+  uploadDrafts = [];
+  showCoverPreview(null);
+  renderUploadTrackRows();
+  const st = $('#tagStatus'); if (st) st.textContent = '';
+}
+
+// #/upload is only a way to open the modal; leave it once the modal closes
+function closeUploadModal() {
+  $('#uploadModal')?.classList.add('hidden');
+  if (state.route === 'upload') navigate('home', null, { replace: true });
+}
+
+/* ---------------------------
+   Editing & deleting your uploads
+   --------------------------- */
+const MIN_COVER_SIZE = 1000;
+
+const CREDIT_ROLES = { writers: 'Written by', producers: 'Produced by', featuring: 'Featuring' };
+
+// comma-separated names per role -> { writers: [...], producers: [...], featuring: [...] }
+function parseCredits(fields={}) {
+  const credits = {};
+  Object.keys(CREDIT_ROLES).forEach(role=> {
+    const list = Array.isArray(fields[role]) ? fields[role] : String(fields[role] || '').split(',');
+    credits[role] = Array.from(new Set(list.map(n=>String(n).trim()).filter(Boolean)));
+  });
+  return credits;
+}
+
+function hasCredits(song) { return !!song.credits && Object.keys(CREDIT_ROLES).some(r=> song.credits[r]?.length); }
+
+function canEditSong(song, user=state.currentUser) {
+  return !!user && !!song && (song.uploadedBy === user.username || isAdmin(user));
+}
+
+// an album belongs to whoever uploaded all of its tracks
+function ownsAlbum(album, username) {
+  const songs = album.tracks.map(id=> state.meta.songs.find(s=>s.id===id)).filter(Boolean);
+  return songs.length > 0 && songs.every(s=>s.uploadedBy===username);
+}
+
+function canEditAlbum(album, user=state.currentUser) {
+  return !!user && !!album && (isAdmin(user) || ownsAlbum(album, user.username));
+}
+
+// admins editing someone else's upload (a song, or an album they don't own) leave a trace in the audit log
+function auditIfForeign(item, action, detail='') {
+  const me = state.currentUser.username;
+  if (item.tracks ? !ownsAlbum(item, me) : item.uploadedBy !== me) logAudit(action, item.id, detail);
+}
+
+function updateSong(songId, fields) {
+  const m = state.meta;
+  const song = m.songs.find(s=>s.id===songId);
+  if (!canEditSong(song)) return {ok:false, msg:'Only the uploader can edit this song'};
+  const title = (fields.title ?? song.title).trim();
+  if (!title) return {ok:false, msg:'Title required'};
+  Object.assign(song, {
+    title,
+    genre: fields.genre ?? song.genre,
+    language: (fields.language ?? song.language ?? '').trim(),
+    explicit: fields.explicit ?? song.explicit,
+    trackNo: Math.max(1, parseInt(fields.trackNo, 10) || song.trackNo || 1),
+    discNo: Math.max(1, parseInt(fields.discNo, 10) || song.discNo || 1),
+    lyrics: fields.lyrics !== undefined ? normalizeLyrics(fields.lyrics) : song.lyrics ?? null,
+    credits: fields.credits ? parseCredits(fields.credits) : song.credits || parseCredits()
+  });
+  const album = m.albums.find(a=>a.id===song.albumId);
+  if (album) sortAlbumTracks(album);
+  auditIfForeign(song, 'edit-song', title);
+  saveMeta(m);
+  return {ok:true, song};
+}
+
+function updateAlbum(albumId, fields) {
+  const album = state.meta.albums.find(a=>a.id===albumId);
+  if (!canEditAlbum(album)) return {ok:false, msg:'Only the uploader can edit this album'};
+  const title = (fields.title ?? album.title).trim();
+  if (!title) return {ok:false, msg:'Album title required'};
+  album.title = title;
+  album.year = parseInt(fields.year, 10) || album.year;
+  auditIfForeign(album, 'edit-album', `${title} (${album.year})`);
+  saveMeta(state.meta);
+  return {ok:true, album};
+}
+
+async function replaceSongAudio(songId, file) {
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!canEditSong(song)) return {ok:false, msg:'Only the uploader can replace the audio'};
+  const blob = await fileToBlob(file);
+  const { duration, loudness, peaks } = await analyseAudio(blob);
+  if (!duration) return {ok:false, msg:`Could not read ${file.name}`};
+  await idbPut(song.assetId, blob);
+  if (song.waveformAssetId && !peaks) await idbDelete(song.waveformAssetId).catch(e=>console.warn('waveform delete', e));
+  song.waveformAssetId = await storeWaveform(song.id, peaks);
+  song.duration = Math.round(duration);
+  song.loudness = loudness;
+  if (state.player.currentSongId === song.id) loadWaveform(song);
+  auditIfForeign(song, 'replace-audio', file.name);
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+async function coverBlobFromFile(file) {
+  const img = await fileToImage(file);
+  if (img.width < MIN_COVER_SIZE || img.height < MIN_COVER_SIZE) return null;
+  return imageToBlob(img);
+}
+
+function refreshCoversOf(songIds) {
+  state.meta.playlists.filter(p=>p.tracks.some(t=>songIds.includes(t.songId))).forEach(p=> updatePlaylistCover(p));
+}
+
+// gives the song its own cover instead of the album's
+async function replaceSongCover(songId, file) {
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!canEditSong(song)) return {ok:false, msg:'Only the uploader can replace the cover'};
+  const blob = await coverBlobFromFile(file);
+  if (!blob) return {ok:false, msg:`Cover too small (min ${MIN_COVER_SIZE}x${MIN_COVER_SIZE})`};
+  song.coverAssetId = `image:song:${song.id}`;
+  await idbPut(song.coverAssetId, blob);
+  refreshCoversOf([song.id]);
+  auditIfForeign(song, 'replace-cover', song.title);
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+async function replaceAlbumCover(albumId, file) {
+  const album = state.meta.albums.find(a=>a.id===albumId);
+  if (!canEditAlbum(album)) return {ok:false, msg:'Only the uploader can replace the cover'};
+  const blob = await coverBlobFromFile(file);
+  if (!blob) return {ok:false, msg:`Cover too small (min ${MIN_COVER_SIZE}x${MIN_COVER_SIZE})`};
+  await idbPut(album.coverAssetId, blob); // tracks without a cover of their own point at this asset
+  refreshCoversOf(album.tracks);
+  auditIfForeign(album, 'replace-album-cover', album.title);
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+async function deleteSong(songId) {
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!canEditSong(song)) return {ok:false, msg:'Only the uploader can delete this song'};
+  auditIfForeign(song, 'remove-song', song.title);
+  return removeSong(songId);
+}
+
+// removing the last track also removes the album and its cover
+async function deleteAlbum(albumId) {
+  const album = state.meta.albums.find(a=>a.id===albumId);
+  if (!canEditAlbum(album)) return {ok:false, msg:'Only the uploader can delete this album'};
+  if (!ownsAlbum(album, state.currentUser.username)) logAudit('remove-album', albumId, album.title);
+  for (const id of [...album.tracks]) await removeSong(id);
+  state.meta.albums = state.meta.albums.filter(a=>a.id!==albumId);
+  if (album.coverAssetId) await idbDelete(album.coverAssetId).catch(e=>console.warn('cover delete', e));
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+function openSongEditor(songId) {
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!canEditSong(song)) { toast('Only the uploader can edit this song'); return; }
+  const genres = Array.from($('#metaGenre')?.options || [], o=>o.value);
+  if (song.genre && !genres.includes(song.genre)) genres.push(song.genre);
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Edit song</h3>
+    <label>Title: <input id="esTitle" /></label>
+    <label>Genre: <select id="esGenre">${genres.map(g=>`<option>${escapeHtml(g)}</option>`).join('')}</select></label>
+    <label>Language: <input id="esLang" /></label>
+    <label>Explicit: <input type="checkbox" id="esExplicit" style="width:auto" /></label>
+    <label>Track no.: <input id="esTrack" type="number" min="1" /></label>
+    <label>Disc no.: <input id="esDisc" type="number" min="1" /></label>
+    <label>Lyrics (plain text or LRC): <textarea id="esLyrics" rows="6"></textarea></label>
+    <label>Load lyrics file (.lrc/.txt): <input id="esLyricsFile" type="file" accept=".lrc,.txt,text/plain" /></label>
+    ${Object.entries(CREDIT_ROLES).map(([role, label])=>`<label>${label} (comma-separated): <input data-credit="${role}" /></label>`).join('')}
+    <label>Replace audio: <input id="esAudio" type="file" accept="audio/*" /></label>
+    <label>Replace cover (min ${MIN_COVER_SIZE}×${MIN_COVER_SIZE}): <input id="esCover" type="file" accept="image/*" /></label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+      <button id="esDelete" style="margin-right:auto">Delete song</button><button id="esCancel">Cancel</button><button id="esSave">Save</button>
+    </div></div>`;
+  document.body.appendChild(modal);
+  modal.querySelector('#esTitle').value = song.title;
+  modal.querySelector('#esGenre').value = song.genre || genres[0];
+  modal.querySelector('#esLang').value = song.language || '';
+  modal.querySelector('#esExplicit').checked = !!song.explicit;
+  modal.querySelector('#esTrack').value = song.trackNo || 1;
+  modal.querySelector('#esDisc').value = song.discNo || 1;
+  modal.querySelector('#esLyrics').value = song.lyrics || '';
+  bindLyricsFile(modal.querySelector('#esLyricsFile'), modal.querySelector('#esLyrics'));
+  $all('[data-credit]', modal).forEach(i=> { i.value = (song.credits?.[i.dataset.credit] || []).join(', '); });
+  modal.querySelector('#esCancel').addEventListener('click', ()=> modal.remove());
+  modal.querySelector('#esDelete').addEventListener('click', async ()=> {
+    if (!confirm(`Delete “${song.title}”? It is removed from every playlist and cannot be restored.`)) return;
+    const res = await deleteSong(songId);
+    if (!res.ok) { alert(res.msg); return; }
+    modal.remove(); toast('Song deleted'); renderMainRoute();
+  });
+  modal.querySelector('#esSave').addEventListener('click', async (e)=> {
+    e.target.disabled = true;
+    const res = updateSong(songId, {
+      title: modal.querySelector('#esTitle').value, genre: modal.querySelector('#esGenre').value,
+      language: modal.querySelector('#esLang').value, explicit: modal.querySelector('#esExplicit').checked,
+      trackNo: modal.querySelector('#esTrack').value, discNo: modal.querySelector('#esDisc').value,
+      lyrics: modal.querySelector('#esLyrics').value,
+      credits: Object.fromEntries($all('[data-credit]', modal).map(i=> [i.dataset.credit, i.value]))
+    });
+    const audio = modal.querySelector('#esAudio').files[0];
+    const cover = modal.querySelector('#esCover').files[0];
+    const failed = [res, audio && await replaceSongAudio(songId, audio), cover && await replaceSongCover(songId, cover)].find(r=> r && !r.ok);
+    if (failed) { alert(failed.msg); e.target.disabled = false; return; }
+    modal.remove(); toast('Song updated');
+    if (state.player.currentSongId === songId) updatePlayerUI(song);
+    renderMainRoute();
+  });
+}
+
+function openAlbumEditor(albumId) {
+  const album = state.meta.albums.find(a=>a.id===albumId);
+  if (!canEditAlbum(album)) { toast('Only the uploader can edit this album'); return; }
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Edit album</h3>
+    <label>Title: <input id="eaTitle" /></label>
+    <label>Year: <input id="eaYear" type="number" min="1900" max="2100" /></label>
+    <label>Replace cover (min ${MIN_COVER_SIZE}×${MIN_COVER_SIZE}): <input id="eaCover" type="file" accept="image/*" /></label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+      <button id="eaDelete" style="margin-right:auto">Delete album</button><button id="eaCancel">Cancel</button><button id="eaSave">Save</button>
+    </div></div>`;
+  document.body.appendChild(modal);
+  modal.querySelector('#eaTitle').value = album.title;
+  modal.querySelector('#eaYear').value = album.year || '';
+  modal.querySelector('#eaCancel').addEventListener('click', ()=> modal.remove());
+  modal.querySelector('#eaDelete').addEventListener('click', async ()=> {
+    if (!confirm(`Delete “${album.title}” and all ${album.tracks.length} of its tracks? This cannot be undone.`)) return;
+    const res = await deleteAlbum(albumId);
+    if (!res.ok) { alert(res.msg); return; }
+    modal.remove(); toast('Album deleted'); navigate('library');
+  });
+  modal.querySelector('#eaSave').addEventListener('click', async (e)=> {
+    e.target.disabled = true;
+    const res = updateAlbum(albumId, { title: modal.querySelector('#eaTitle').value, year: modal.querySelector('#eaYear').value });
+    const cover = modal.querySelector('#eaCover').files[0];
+    const failed = [res, cover && await replaceAlbumCover(albumId, cover)].find(r=> r && !r.ok);
+    if (failed) { alert(failed.msg); e.target.disabled = false; return; }
+    modal.remove(); toast('Album updated'); renderMainRoute();
+  });
+}
+
+function createEditSongButton(songId, label='✎') {
+  const btn = document.createElement('button'); btn.textContent = label; btn.title = 'Edit song';
+  btn.addEventListener('click', (e)=> { e.stopPropagation(); openSongEditor(songId); });
+  return btn;
+}
+
+/* Storage cleanup: asset records no metadata points to (left behind by older versions or failed uploads) */
+const CLEANUP_GRACE_MS = 10 * 60000; // newer records may belong to an upload or import still in progress (here or in another tab)
+
+function referencedAssetIds(meta=state.meta) {
+  return new Set([
+    ...meta.users.map(u=>u.imageAssetId),
+    ...meta.songs.flatMap(s=>[s.assetId, s.coverAssetId, s.waveformAssetId]),
+    ...meta.albums.map(a=>a.coverAssetId),
+    ...meta.playlists.map(p=>p.coverAssetId)
+  ].filter(Boolean));
+}
+
+async function findOrphanAssets() {
+  const used = referencedAssetIds();
+  const cutoff = Date.now() - CLEANUP_GRACE_MS;
+  // records written before timestamps existed have no `at` and count as old
+  return (await idbAll()).filter(r=>!used.has(r.id) && !(r.at > cutoff)).map(r=> ({ id: r.id, size: r.blob?.size || 0 }));
+}
+
+async function cleanupStorage(orphans=null) {
+  if (!isAdmin()) throw new Error(ADMIN_ONLY.msg);
+  orphans = orphans || await findOrphanAssets();
+  for (const o of orphans) await idbDelete(o.id);
+  return { count: orphans.length, bytes: orphans.reduce((n, o)=> n + o.size, 0) };
+}
+
+async function runStorageCleanup() {
+  if (!isAdmin()) { toast(ADMIN_ONLY.msg); return; }
+  try {
+    const orphans = await findOrphanAssets();
+    if (orphans.length === 0) { toast('No unused files found'); return; }
+    const mb = (orphans.reduce((n, o)=> n + o.size, 0) / 1048576).toFixed(1);
+    if (!confirm(`Delete ${orphans.length} unused file${orphans.length === 1 ? '' : 's'} (${mb} MB)?`)) return;
+    const res = await cleanupStorage(orphans);
+    toast(`Freed ${(res.bytes / 1048576).toFixed(1)} MB`);
+  } catch (e) { console.error(e); toast('Cleanup failed'); }
+}
+
+/* ---------------------------
+   Audio metadata: decoded duration & embedded tags
+   (ID3v2/ID3v1 for MP3, RIFF INFO for WAV, iTunes atoms for MP4/M4A)
+   --------------------------- */
+let uploadDrafts = []; // per selected file: { file, duration, loudness, peaks, lyrics, featuring, title, artist, album, year, genre, track, disc, picture }
+
+const ID3_GENRES = ['Blues','Classic Rock','Country','Dance','Disco','Funk','Grunge','Hip-Hop','Jazz','Metal','New Age','Oldies','Other','Pop','R&B','Rap','Reggae','Rock','Techno','Industrial','Alternative','Ska','Death Metal','Pranks','Soundtrack','Euro-Techno','Ambient','Trip-Hop','Vocal','Jazz+Funk','Fusion','Trance','Classical','Instrumental','Acid','House','Game','Sound Clip','Gospel','Noise','Alternative Rock','Bass','Soul','Punk','Space','Meditative','Instrumental Pop','Instrumental Rock','Ethnic','Gothic','Darkwave','Techno-Industrial','Electronic','Pop-Folk','Eurodance','Dream','Southern Rock','Comedy','Cult','Gangsta','Top 40','Christian Rap','Pop/Funk','Jungle','Native American','Cabaret','New Wave','Psychedelic','Rave','Showtunes','Trailer','Lo-Fi','Tribal','Acid Punk','Acid Jazz','Polka','Retro','Musical','Rock & Roll','Hard Rock'];
+const ID3_FRAMES = { TIT2:'title', TT2:'title', TPE1:'artist', TP1:'artist', TALB:'album', TAL:'album', TYER:'year', TYE:'year', TDRC:'year',
+  TCON:'genre', TCO:'genre', TRCK:'track', TRK:'track', TPOS:'disc', TPA:'disc', APIC:'picture', PIC:'picture' };
+const RIFF_INFO = { INAM:'title', IART:'artist', IPRD:'album', ICRD:'year', IGNR:'genre', ITRK:'track', IPRT:'track' };
+const MP4_ITEMS = { '\u00a9nam':'title', '\u00a9ART':'artist', 'aART':'artist', '\u00a9alb':'album', '\u00a9day':'year',
+  '\u00a9gen':'genre', 'gnre':'genre', 'trkn':'track', 'disk':'disc', 'covr':'picture' };
+
+function latin1(u8) { let s = ''; for (let i=0;i<u8.length;i++) s += String.fromCharCode(u8[i]); return s; }
+
+function decodeTagText(u8, enc) {
+  let label = 'latin1';
+  if (enc === 1) {
+    // UTF-16 with BOM
+    if (u8[0] === 0xFE && u8[1] === 0xFF) { label = 'utf-16be'; u8 = u8.subarray(2); }
+    else { label = 'utf-16le'; if (u8[0] === 0xFF && u8[1] === 0xFE) u8 = u8.subarray(2); }
+  } else if (enc === 2) label = 'utf-16be';
+  else if (enc === 3) label = 'utf-8';
+  let text;
+  try { text = new TextDecoder(label, { fatal: enc === 3 }).decode(u8); }
+  catch (e) { text = latin1(u8); }
+  // ID3v2.4 separates multiple values with NUL; keep the first
+  return text.split('\0').map(t=>t.trim()).find(Boolean) || '';
+}
+
+// offset just past a NUL-terminated string in the given ID3 text encoding
+function skipTerminated(u8, pos, enc) {
+  if (enc === 1 || enc === 2) {
+    for (let i=pos;i+1<u8.length;i+=2) if (u8[i] === 0 && u8[i+1] === 0) return i + 2;
+  } else {
+    for (let i=pos;i<u8.length;i++) if (u8[i] === 0) return i + 1;
+  }
+  return u8.length;
+}
+
+function syncsafe(u8, pos) { return (u8[pos]&0x7f)<<21 | (u8[pos+1]&0x7f)<<14 | (u8[pos+2]&0x7f)<<7 | (u8[pos+3]&0x7f); }
+
+function parseId3Picture(data, v22) {
+  const enc = data[0];
+  let p, mime;
+  if (v22) {
+    mime = latin1(data.subarray(1,4)).toLowerCase() === 'png' ? 'image/png' : 'image/jpeg';
+    p = 4;
+  } else {
+    const z = skipTerminated(data, 1, 0);
+    mime = latin1(data.subarray(1, z-1)).toLowerCase() || 'image/jpeg';
+    if (!mime.includes('/')) mime = 'image/' + mime;
+    if (mime === 'image/jpg') mime = 'image/jpeg';
+    p = z;
+  }
+  p = skipTerminated(data, p + 1, enc); // picture type byte, then description
+  return p < data.length ? new Blob([data.slice(p)], { type: mime }) : null;
+}
+
+function parseId3v2(u8) {
+  if (u8.length < 10 || latin1(u8.subarray(0,3)) !== 'ID3') return null;
+  const ver = u8[3]; const flags = u8[5];
+  if (ver < 2 || ver > 4) return null;
+  let body = u8.subarray(10, Math.min(u8.length, 10 + syncsafe(u8, 6)));
+  if ((flags & 0x80) && ver < 4) {
+    // tag-wide unsynchronisation: every 0xFF 0x00 was written for 0xFF
+    const out = []; for (let i=0;i<body.length;i++) { out.push(body[i]); if (body[i] === 0xFF && body[i+1] === 0) i++; }
+    body = new Uint8Array(out);
+  }
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  let pos = 0;
+  if ((flags & 0x40) && ver > 2) pos = ver === 4 ? syncsafe(body, 0) : view.getUint32(0) + 4;
+  const idLen = ver === 2 ? 3 : 4; const hdrLen = ver === 2 ? 6 : 10;
+  const tags = {};
+  while (pos + hdrLen <= body.length) {
+    const id = latin1(body.subarray(pos, pos+idLen));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // reached padding
+    const size = ver === 2 ? (body[pos+3]<<16 | body[pos+4]<<8 | body[pos+5]) : ver === 4 ? syncsafe(body, pos+4) : view.getUint32(pos+4);
+    if (size <= 0) break;
+    const data = body.subarray(pos+hdrLen, Math.min(body.length, pos+hdrLen+size));
+    pos += hdrLen + size;
+    const key = ID3_FRAMES[id];
+    if (!key || tags[key]) continue;
+    if (key === 'picture') tags.picture = parseId3Picture(data, ver === 2);
+    else tags[key] = decodeTagText(data.subarray(1), data[0]);
+  }
+  return tags;
+}
+
+function parseId3v1(u8) {
+  const o = u8.length - 128;
+  if (o < 0 || latin1(u8.subarray(o, o+3)) !== 'TAG') return null;
+  const field = (start, len) => latin1(u8.subarray(o+start, o+start+len)).split('\0')[0].trim();
+  return { title: field(3,30), artist: field(33,30), album: field(63,30), year: field(93,4), genre: ID3_GENRES[u8[o+127]] || '' };
+}
+
+function parseRiffInfo(u8) {
+  if (u8.length < 12 || latin1(u8.subarray(0,4)) !== 'RIFF' || latin1(u8.subarray(8,12)) !== 'WAVE') return null;
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const tags = {};
+  let pos = 12;
+  while (pos + 8 <= u8.length) {
+    const id = latin1(u8.subarray(pos, pos+4)); const size = view.getUint32(pos+4, true);
+    const body = pos + 8; const end = Math.min(u8.length, body + size);
+    if (id === 'LIST' && latin1(u8.subarray(body, body+4)) === 'INFO') {
+      let p = body + 4;
+      while (p + 8 <= end) {
+        const sid = latin1(u8.subarray(p, p+4)); const ssz = view.getUint32(p+4, true);
+        const key = RIFF_INFO[sid];
+        if (key && !tags[key]) tags[key] = decodeTagText(u8.subarray(p+8, Math.min(end, p+8+ssz)), 3);
+        p += 8 + ssz + (ssz & 1);
+      }
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      const id3 = parseId3v2(u8.subarray(body, end));
+      if (id3) Object.keys(id3).forEach(k=> { if (!tags[k]) tags[k] = id3[k]; });
+    }
+    pos = body + size + (size & 1);
+  }
+  return tags;
+}
+
+function parseMp4Tags(u8) {
+  if (u8.length < 8 || latin1(u8.subarray(4,8)) !== 'ftyp') return null;
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const tags = {};
+  const boxes = (start, end, fn) => {
+    let pos = start;
+    while (pos + 8 <= end) {
+      let size = view.getUint32(pos); let hdr = 8;
+      const type = latin1(u8.subarray(pos+4, pos+8));
+      if (size === 1) { size = Number(view.getBigUint64(pos+8)); hdr = 16; }
+      else if (size === 0) size = end - pos;
+      if (size < hdr || pos + size > end) break;
+      fn(type, pos + hdr, pos + size);
+      pos += size;
+    }
+  };
+  const readItem = (key, start, end) => boxes(start, end, (type, body, boxEnd)=> {
+    if (type !== 'data' || tags[key]) return;
+    const kind = view.getUint32(body) & 0xffffff; const payload = u8.subarray(body + 8, boxEnd);
+    if (key === 'picture') tags.picture = new Blob([payload.slice()], { type: kind === 14 ? 'image/png' : 'image/jpeg' });
+    else if (key === 'track' || key === 'disc') tags[key] = payload.length >= 4 ? String((payload[2]<<8) | payload[3]) : '';
+    else if (kind === 0 || kind === 21) tags[key] = payload.length >= 2 ? String((payload[0]<<8) | payload[1]) : ''; // gnre: ID3v1 index + 1
+    else tags[key] = decodeTagText(payload, 3);
+  });
+  const walk = (start, end) => boxes(start, end, (type, body, boxEnd)=> {
+    if (type === 'moov' || type === 'udta') walk(body, boxEnd);
+    // ISO 'meta' is a full box (4 bytes version/flags); QuickTime's is not
+    else if (type === 'meta') walk(latin1(u8.subarray(body+4, body+8)) === 'hdlr' ? body : body + 4, boxEnd);
+    else if (type === 'ilst') boxes(body, boxEnd, (item, ib, ie)=> { if (MP4_ITEMS[item]) readItem(MP4_ITEMS[item], ib, ie); });
+  });
+  walk(0, u8.length);
+  if (/^\d+$/.test(tags.genre || '') && Number(tags.genre) > 0) tags.genre = ID3_GENRES[Number(tags.genre) - 1] || '';
+  return tags;
+}
+
+function normalizeTags(t) {
+  const out = {};
+  ['title','artist','album'].forEach(k=> { if (t[k]) out[k] = String(t[k]).trim(); });
+  const year = String(t.year || '').match(/\d{4}/); if (year) out.year = Number(year[0]);
+  let genre = String(t.genre || '').trim();
+  // ID3 numeric genres: "(13)", "13" or "(13)Pop"
+  const num = genre.match(/^\((\d+)\)(.*)$/) || genre.match(/^(\d+)()$/);
+  if (num) genre = num[2].trim() || ID3_GENRES[Number(num[1])] || '';
+  if (genre) out.genre = genre;
+  const track = parseInt(String(t.track || ''), 10); if (track > 0) out.track = track;
+  const disc = parseInt(String(t.disc || ''), 10); if (disc > 0) out.disc = disc;
+  if (t.picture && t.picture.size) out.picture = t.picture;
+  return out;
+}
+
+function parseAudioTags(buffer) {
+  const u8 = new Uint8Array(buffer);
+  const tags = parseId3v2(u8) || parseRiffInfo(u8) || parseMp4Tags(u8) || {};
+  const v1 = parseId3v1(u8);
+  if (v1) Object.keys(v1).forEach(k=> { if (!tags[k] && v1[k]) tags[k] = v1[k]; });
+  return normalizeTags(tags);
+}
+
+async function decodeAudioBlob(blob) {
+  const buf = await blob.arrayBuffer();
+  const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new Ctx(1, 1, 44100);
+  return new Promise((res, rej)=> {
+    const p = ctx.decodeAudioData(buf, res, rej);
+    if (p && p.then) p.then(res, rej);
+  });
+}
+
+// duration, loudness and waveform peaks from one decode; when the browser can't decode it, the media element's duration only
+async function analyseAudio(blob) {
+  let buffer;
+  try { buffer = await decodeAudioBlob(blob); }
+  catch (e) { return { duration: await mediaElementDuration(blob), loudness: null, peaks: null }; }
+  let loudness = null;
+  try { loudness = await measureLoudness(buffer); } catch (e) { console.warn('loudness', e); }
+  return { duration: buffer.duration, loudness, peaks: computePeaks(buffer) };
+}
+
+function mediaElementDuration(blob) {
+  return new Promise((res)=> {
+    const a = document.createElement('audio'); const url = URL.createObjectURL(blob);
+    const done = (d) => { URL.revokeObjectURL(url); res(d); };
+    a.preload = 'metadata';
+    a.onloadedmetadata = ()=> done(isFinite(a.duration) ? a.duration : 0);
+    a.onerror = ()=> done(0);
+    a.src = url;
+  });
+}
+
+async function readUploadDraft(file) {
+  let tags = {};
+  try { tags = parseAudioTags(await file.arrayBuffer()); } catch (e) { console.warn('tag read', e); }
+  const { duration, loudness, peaks } = await analyseAudio(file);
+  return { file, duration, loudness, peaks, ...tags };
+}
+
+function setAutoValue(el, value) {
+  if (!el || value === undefined || value === null || value === '') return;
+  if (el.value && !el.dataset.auto) return; // the user already chose something
+  el.value = value; el.dataset.auto = '1';
+}
+
+function matchUserForTag(name) {
+  const n = (name||'').toLowerCase();
+  return state.meta.users.find(u=> u.username.toLowerCase() === n || (u.displayName||'').toLowerCase() === n);
+}
+
+function selectGenreOption(sel, genre) {
+  if (!sel || !genre) return;
+  const norm = (g) => g.toLowerCase().replace(/[^a-z0-9]/g, '');
+  let opt = Array.from(sel.options).find(o=> norm(o.value) === norm(genre));
+  if (!opt) { opt = document.createElement('option'); opt.textContent = genre; sel.appendChild(opt); }
+  if (sel.dataset.auto || !sel.dataset.touched) { sel.value = opt.value; sel.dataset.auto = '1'; }
+}
+
+async function prefillFromAudioFiles(files) {
+  const status = $('#tagStatus');
+  uploadDrafts = [];
+  renderUploadTrackRows();
+  if (!files.length) return;
+  if (status) status.textContent = 'Reading file…';
+  const drafts = await Promise.all(files.map(readUploadDraft));
+  const current = Array.from($('#audioFile')?.files || []);
+  if (current.length !== files.length || current.some((f, i)=> f !== files[i])) return; // selection changed meanwhile
+  uploadDrafts = drafts;
+  const first = drafts[0];
+  const pick = (k) => drafts.map(d=>d[k]).find(Boolean);
+  if (uploadMode() === 'single') setAutoValue($('#metaTitle'), first.title || first.file.name.replace(/\.[^.]+$/, ''));
+  const artistName = pick('artist');
+  const user = matchUserForTag(artistName);
+  const artistSel = $('#metaArtist');
+  if (user && artistSel && isAdmin() && (artistSel.dataset.auto || !artistSel.dataset.touched)) {
+    artistSel.value = user.username; artistSel.dataset.auto = '1'; fillAlbumTargets();
+  }
+  setAutoValue($('#metaAlbum'), pick('album'));
+  setAutoValue($('#metaYear'), pick('year'));
+  selectGenreOption($('#metaGenre'), pick('genre'));
+  if (!$('#coverFile')?.files[0]) showCoverPreview(firstEmbeddedPicture());
+  renderUploadTrackRows();
+  const found = ['title','artist','album','year','genre','picture'].filter(k=>pick(k));
+  const total = drafts.reduce((sum, d)=> sum + (d.duration || 0), 0);
+  if (status) {
+    status.textContent = `${drafts.length > 1 ? drafts.length + ' files · ' : ''}${total ? formatTime(total) : 'Unknown length'}` +
+      (found.length ? ` · read ${found.join(', ')} from the file — check before uploading` : ' · no embedded tags found');
+    if (artistName && !user) status.textContent += ` · artist "${artistName}" is not a user here`;
+  }
+}
+
+function showCoverPreview(blob) {
+  const img = $('#coverPreview'); if (!img) return;
+  if (img._url) { URL.revokeObjectURL(img._url); img._url = null; }
+  if (!blob) { img.classList.add('hidden'); img.removeAttribute('src'); return; }
+  img._url = URL.createObjectURL(blob); img.src = img._url;
+  img.classList.remove('hidden');
+}
+
+function fileToBlob(file) {
+  return new Promise((res)=> {
+    const r = new FileReader();
+    r.onload = ()=> {
+      const arr = new Uint8Array(r.result);
+      res(new Blob([arr], {type: file.type}));
+    };
+    r.readAsArrayBuffer(file);
+  });
+}
+
+function fileToImage(file) {
+  return new Promise((res,rej)=> {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = ()=> { URL.revokeObjectURL(url); res(img); };
+    img.onerror = (e)=> rej(e);
+    img.src = url;
+  });
+}
+
+function imageToBlob(img) {
+  return new Promise((res)=> {
+    const c = document.createElement('canvas'); c.width=1200; c.height=1200;
+    const ctx = c.getContext('2d'); ctx.drawImage(img,0,0,c.width,c.height);
+    c.toBlob((b)=>res(b||new Blob()), 'image/jpeg', 0.9);
+  });
+}
+
+/* ---------------------------
+   Playlist system
+   --------------------------- */
+function createPlaylist(name, ownerUsername, isPrivate=false) {
+  const id = `playlist_${state.meta.nextIds.playlist++}`;
+  const pl = { id, name, owner: ownerUsername, tracks: [], coverAssetId: null, private: !!isPrivate, sharedWith: [], collaborative: false, createdAt: Date.now() };
+  state.meta.playlists.push(pl);
+  saveMeta(state.meta);
+  return pl;
+}
+
+function findPlaylist(id) { return state.meta.playlists.find(p=>p.id===id); }
+
+function playlistSongIds(pl) { return pl.tracks.map(t=>t.songId); }
+
+function canEditPlaylist(pl, user=state.currentUser) {
+  return !!(pl && user && pl.owner === user.username);
+}
+
+// Private playlists are visible to the owner and the users they shared them with
+function canViewPlaylist(pl, user=state.currentUser) {
+  if (!pl) return false;
+  if (!pl.private) return true;
+  return !!user && (pl.owner === user.username || (pl.sharedWith||[]).includes(user.username));
+}
+
+// Collaborative playlists also accept tracks from invited users
+function canAddToPlaylist(pl, user=state.currentUser) {
+  if (canEditPlaylist(pl, user)) return true;
+  return !!(pl && user && pl.collaborative && (pl.sharedWith||[]).includes(user.username));
+}
+
+function addToPlaylist(playlistId, songId) {
+  const pl = findPlaylist(playlistId);
+  if (!pl) return {ok:false, msg:'Playlist not found'};
+  if (!canAddToPlaylist(pl)) return {ok:false, msg:'You cannot add to this playlist'};
+  if (!state.meta.songs.find(s=>s.id===songId)) return {ok:false, msg:'Song missing'};
+  if (pl.tracks.some(t=>t.songId===songId)) return {ok:false, msg:'Already in this playlist'};
+  pl.tracks.push({ songId, addedBy: state.currentUser.username, addedAt: Date.now() });
+  saveMeta(state.meta);
+  updatePlaylistCover(pl);
+  return {ok:true, playlist:pl};
+}
+
+function removeFromPlaylist(playlistId, index) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can edit this playlist'};
+  if (index < 0 || index >= pl.tracks.length) return {ok:false, msg:'No such track'};
+  pl.tracks.splice(index, 1);
+  saveMeta(state.meta);
+  updatePlaylistCover(pl);
+  return {ok:true, playlist:pl};
+}
+
+function moveInPlaylist(playlistId, from, to) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can edit this playlist'};
+  const n = pl.tracks.length;
+  if (from < 0 || from >= n || to < 0 || to >= n) return {ok:false, msg:'No such track'};
+  if (from === to) return {ok:true, playlist:pl};
+  const [moved] = pl.tracks.splice(from, 1);
+  pl.tracks.splice(to, 0, moved);
+  saveMeta(state.meta);
+  updatePlaylistCover(pl);
+  return {ok:true, playlist:pl};
+}
+
+function renamePlaylist(playlistId, name) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can edit this playlist'};
+  name = (name||'').trim();
+  if (!name) return {ok:false, msg:'Name required'};
+  pl.name = name;
+  saveMeta(state.meta);
+  return {ok:true, playlist:pl};
+}
+
+function sharePlaylist(playlistId, username) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can share this playlist'};
+  username = (username||'').trim();
+  if (!state.meta.users.find(u=>u.username===username)) return {ok:false, msg:'No such user'};
+  if (username === pl.owner) return {ok:false, msg:'You already own this playlist'};
+  if (pl.sharedWith.includes(username)) return {ok:false, msg:'Already shared with ' + username};
+  pl.sharedWith.push(username);
+  notify(username, 'share', { playlistId: pl.id });
+  saveMeta(state.meta);
+  return {ok:true, playlist:pl};
+}
+
+function unsharePlaylist(playlistId, username) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can share this playlist'};
+  pl.sharedWith = pl.sharedWith.filter(u=>u!==username);
+  saveMeta(state.meta);
+  return {ok:true, playlist:pl};
+}
+
+function setPlaylistAccess(playlistId, { isPrivate, collaborative }) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can change sharing'};
+  if (isPrivate !== undefined) pl.private = !!isPrivate;
+  if (collaborative !== undefined) pl.collaborative = !!collaborative;
+  saveMeta(state.meta);
+  return {ok:true, playlist:pl};
+}
+
+function deletePlaylist(playlistId) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) return {ok:false, msg:'Only the owner can delete this playlist'};
+  state.meta.playlists = state.meta.playlists.filter(p=>p.id!==playlistId);
+  if (pl.coverAssetId) idbDelete(pl.coverAssetId).catch(e=>console.warn('cover delete', e));
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+// Cover = first track's art, or a 2x2 mosaic once there are four distinct covers
+async function updatePlaylistCover(pl) {
+  const covers = [];
+  for (const sid of playlistSongIds(pl)) {
+    const s = state.meta.songs.find(x=>x.id===sid);
+    if (s && s.coverAssetId && !covers.includes(s.coverAssetId)) covers.push(s.coverAssetId);
+    if (covers.length === 4) break;
+  }
+  const aid = `image:playlist:${pl.id}`;
+  try {
+    if (covers.length === 0) {
+      if (pl.coverAssetId) await idbDelete(pl.coverAssetId);
+      pl.coverAssetId = null;
+      $all('img[data-playlist-cover]').forEach(img=> { if (img.dataset.playlistCover === pl.id) img.removeAttribute('src'); });
+    } else {
+      const used = covers.length === 4 ? covers : covers.slice(0,1);
+      const c = document.createElement('canvas'); c.width = 600; c.height = 600;
+      const ctx = c.getContext('2d');
+      ctx.fillStyle = '#222'; ctx.fillRect(0,0,c.width,c.height);
+      const tile = used.length === 4 ? c.width/2 : c.width;
+      for (let i=0;i<used.length;i++) {
+        const b = await idbGet(used[i]); if (!b) continue;
+        const img = await fileToImage(b);
+        ctx.drawImage(img, (i%2)*tile, Math.floor(i/2)*tile, tile, tile);
+      }
+      const blob = await new Promise(res=> c.toBlob(b=>res(b||new Blob()), 'image/jpeg', 0.85));
+      await idbPut(aid, blob);
+      pl.coverAssetId = aid;
+      $all('img[data-playlist-cover]').forEach(img=> { if (img.dataset.playlistCover === pl.id) img.src = URL.createObjectURL(blob); });
+    }
+    saveMeta(state.meta);
+  } catch (e) { console.warn('playlist cover', e); }
+  return pl.coverAssetId;
+}
+
+/* Pick one of your playlists (or create one) for a song */
+function openAddToPlaylistModal(songId) {
+  if (!state.currentUser) { toast('Login to add to playlists'); return; }
+  const song = state.meta.songs.find(s=>s.id===songId);
+  if (!song) { toast('Song missing'); return; }
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Add to playlist</h3><p class="pl-song"></p>
+    <div class="pl-choices"></div>
+    <label>New playlist: <input id="plNewName" placeholder="Playlist name" /></label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+      <button id="plCancel">Cancel</button><button id="plCreate">Create &amp; add</button>
+    </div></div>`;
+  modal.querySelector('.pl-song').textContent = `${song.title} — ${song.artist}`;
+  const close = () => modal.remove();
+  const done = (res) => {
+    if (!res.ok) { toast(res.msg); return; }
+    toast(`Added to ${res.playlist.name}`); close();
+  };
+  const choices = modal.querySelector('.pl-choices');
+  const mine = state.meta.playlists.filter(p=>canAddToPlaylist(p));
+  if (mine.length === 0) choices.innerHTML = '<small>You have no playlists yet</small>';
+  mine.forEach(p=> {
+    const b = document.createElement('button'); b.className = 'pl-choice';
+    b.textContent = `${p.name} (${p.tracks.length})${p.owner !== state.currentUser.username ? ' · by ' + p.owner : ''}`;
+    b.addEventListener('click', ()=> done(addToPlaylist(p.id, songId)));
+    choices.appendChild(b);
+  });
+  modal.querySelector('#plCancel').addEventListener('click', close);
+  modal.querySelector('#plCreate').addEventListener('click', ()=> {
+    const name = modal.querySelector('#plNewName').value.trim();
+    if (!name) { toast('Name required'); return; }
+    const pl = createPlaylist(name, state.currentUser.username, false);
+    done(addToPlaylist(pl.id, songId));
+  });
+  document.body.appendChild(modal);
+}
+
+/* Owner-only sharing: privacy, collaborators, collaborative mode */
+function openShareDialog(playlistId) {
+  const pl = findPlaylist(playlistId);
+  if (!canEditPlaylist(pl)) { toast('Only the owner can share this playlist'); return; }
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Share playlist</h3>
+    <label><input type="checkbox" id="shPrivate" style="width:auto" /> Private (only you and the people below can see it)</label>
+    <label><input type="checkbox" id="shCollab" style="width:auto" /> Collaborative (people below can add tracks)</label>
+    <h4>Shared with</h4><div class="sh-list"></div>
+    <div style="display:flex;gap:8px;margin-top:8px"><input id="shUser" placeholder="Username" /><button id="shAdd">Add</button></div>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px"><button id="shClose">Done</button></div></div>`;
+  const list = modal.querySelector('.sh-list');
+  const drawList = () => {
+    list.innerHTML = '';
+    if (pl.sharedWith.length === 0) list.innerHTML = '<small>Nobody yet</small>';
+    pl.sharedWith.forEach(u=> {
+      const row = document.createElement('div'); row.className = 'track-row';
+      row.appendChild(document.createElement('div')).textContent = u;
+      row.firstChild.style.flex = '1';
+      const rm = document.createElement('button'); rm.textContent = 'Remove';
+      rm.addEventListener('click', ()=> { const res = unsharePlaylist(pl.id, u); if (!res.ok) toast(res.msg); drawList(); });
+      row.appendChild(rm); list.appendChild(row);
+    });
+  };
+  const priv = modal.querySelector('#shPrivate'); priv.checked = !!pl.private;
+  const collab = modal.querySelector('#shCollab'); collab.checked = !!pl.collaborative;
+  priv.addEventListener('change', ()=> setPlaylistAccess(pl.id, { isPrivate: priv.checked }));
+  collab.addEventListener('change', ()=> setPlaylistAccess(pl.id, { collaborative: collab.checked }));
+  modal.querySelector('#shAdd').addEventListener('click', ()=> {
+    const input = modal.querySelector('#shUser');
+    const res = sharePlaylist(pl.id, input.value);
+    if (!res.ok) { toast(res.msg); return; }
+    input.value = ''; drawList();
+  });
+  modal.querySelector('#shClose').addEventListener('click', ()=> { modal.remove(); renderPlaylist(pl.id); });
+  drawList();
+  document.body.appendChild(modal);
+}
+
+function createAddToPlaylistButton(songId, label='＋') {
+  const b = document.createElement('button'); b.type = 'button'; b.className = 'add-pl';
+  b.textContent = label; b.title = 'Add to playlist';
+  b.addEventListener('click', (e)=> { e.stopPropagation(); openAddToPlaylistModal(songId); });
+  b.addEventListener('dblclick', (e)=> e.stopPropagation());
+  return b;
+}
+
+/* ---------------------------
+   Library backup: ZIP with manifest, metadata and every asset blob
+   (stored entries, no ZIP64 — fine for browser-sized libraries)
+   --------------------------- */
+const LIBRARY_FORMAT = 'rankrates-library';
+const LIBRARY_FORMAT_VERSION = 1;
+
+const CRC_TABLE = (()=> {
+  const t = new Uint32Array(256);
+  for (let n=0;n<256;n++) { let c = n; for (let k=0;k<8;k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; t[n] = c >>> 0; }
+  return t;
+})();
+
+function crc32(u8) {
+  let c = 0xFFFFFFFF;
+  for (let i=0;i<u8.length;i++) c = CRC_TABLE[(c ^ u8[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }]
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours()<<11) | (now.getMinutes()<<5) | (now.getSeconds()>>1);
+  const dosDate = ((now.getFullYear()-1980)<<9) | ((now.getMonth()+1)<<5) | now.getDate();
+  const parts = []; const central = []; let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name); const crc = crc32(f.data); const size = f.data.length;
+    const lh = new DataView(new ArrayBuffer(30));
+    lh.setUint32(0, 0x04034b50, true); lh.setUint16(4, 20, true); lh.setUint16(6, 0x0800, true); // UTF-8 names
+    lh.setUint16(10, dosTime, true); lh.setUint16(12, dosDate, true);
+    lh.setUint32(14, crc, true); lh.setUint32(18, size, true); lh.setUint32(22, size, true);
+    lh.setUint16(26, name.length, true);
+    parts.push(lh.buffer, name, f.data);
+    const ch = new DataView(new ArrayBuffer(46));
+    ch.setUint32(0, 0x02014b50, true); ch.setUint16(4, 20, true); ch.setUint16(6, 20, true); ch.setUint16(8, 0x0800, true);
+    ch.setUint16(12, dosTime, true); ch.setUint16(14, dosDate, true);
+    ch.setUint32(16, crc, true); ch.setUint32(20, size, true); ch.setUint32(24, size, true);
+    ch.setUint16(28, name.length, true); ch.setUint32(42, offset, true);
+    central.push(ch.buffer, name);
+    offset += 30 + name.length + size;
+  }
+  const cdSize = central.reduce((sum, p)=> sum + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true); end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// -> Map(name -> Uint8Array); accepts stored and (where the browser can inflate) deflated entries
+async function unzip(buffer) {
+  const u8 = new Uint8Array(buffer); const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i=u8.length-22;i>=Math.max(0, u8.length-22-65535);i--) if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+  const count = view.getUint16(eocd+10, true);
+  let p = view.getUint32(eocd+16, true);
+  const dec = new TextDecoder(); const out = new Map();
+  for (let n=0;n<count;n++) {
+    if (p + 46 > u8.length || view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(p+10, true); const crc = view.getUint32(p+16, true); const csize = view.getUint32(p+20, true);
+    const nlen = view.getUint16(p+28, true); const xlen = view.getUint16(p+30, true); const clen = view.getUint16(p+32, true);
+    const lho = view.getUint32(p+42, true);
+    const name = dec.decode(u8.subarray(p+46, p+46+nlen));
+    p += 46 + nlen + xlen + clen;
+    if (name.endsWith('/')) continue;
+    const start = lho + 30 + view.getUint16(lho+26, true) + view.getUint16(lho+28, true);
+    const raw = u8.subarray(start, start + csize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+      data = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+    } else throw new Error(`Unsupported compression for ${name}`);
+    if (crc32(data) !== crc) throw new Error(`Checksum mismatch for ${name}`);
+    out.set(name, data);
+  }
+  return out;
+}
+
+// account fields an archive never carries in or out: credentials, roles and moderation state
+const CREDENTIAL_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'passwordIterations', 'mustChangePassword'];
+const ROLE_FIELDS = ['superAdmin', 'admin', 'verified', 'suspended'];
+
+// password hashes travel with the (admin-only) archive so accounts can still sign in after a restore
+async function exportableMeta(meta) {
+  const copy = JSON.parse(JSON.stringify(meta));
+  delete copy.sessions; // sign-ins stay on this machine
+  for (const u of copy.users) if (typeof u.password === 'string') await setUserPassword(u, u.password); // legacy plaintext leaves hashed
+  return copy;
+}
+
+// roles and moderation flags never come from an archive: an account of the same name here keeps its own, and its password
+function sanitizeImportedUser(u, local=null) {
+  if (local) CREDENTIAL_FIELDS.forEach(k=> { if (local[k] !== undefined) u[k] = local[k]; else delete u[k]; });
+  ROLE_FIELDS.forEach(k=> { if (local && local[k] !== undefined) u[k] = local[k]; else delete u[k]; });
+  u.verified = !!u.verified;
+  return u;
+}
+
+async function exportLibrary() {
+  const enc = new TextEncoder();
+  const records = await idbAll();
+  const assets = []; const files = [];
+  for (let i=0;i<records.length;i++) {
+    const r = records[i]; if (!(r.blob instanceof Blob)) continue;
+    const file = `assets/${i}.bin`;
+    files.push({ name: file, data: new Uint8Array(await r.blob.arrayBuffer()) });
+    assets.push({ id: r.id, file, type: r.blob.type || '', size: r.blob.size });
+  }
+  const manifest = { format: LIBRARY_FORMAT, version: LIBRARY_FORMAT_VERSION, exportedAt: new Date().toISOString(),
+    counts: { users: state.meta.users.length, songs: state.meta.songs.length, albums: state.meta.albums.length, playlists: state.meta.playlists.length },
+    assets };
+  files.unshift({ name: 'meta.json', data: enc.encode(JSON.stringify(await exportableMeta(state.meta))) });
+  files.unshift({ name: 'manifest.json', data: enc.encode(JSON.stringify(manifest, null, 2)) });
+  return zipStore(files);
+}
+
+async function downloadLibraryExport() {
+  if (!isAdmin()) { toast(ADMIN_ONLY.msg); return; }
+  try {
+    toast('Preparing export…');
+    const blob = await exportLibrary();
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `rankrates-library-${new Date().toISOString().slice(0,10)}.zip`;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=> URL.revokeObjectURL(a.href), 10000);
+    toast('Library exported');
+  } catch (e) { console.error(e); toast('Export failed'); }
+}
+
+async function readLibraryArchive(file) {
+  const entries = await unzip(await file.arrayBuffer());
+  const json = (name) => {
+    const data = entries.get(name);
+    if (!data) throw new Error(`${name} missing from archive`);
+    return JSON.parse(new TextDecoder().decode(data));
+  };
+  const manifest = json('manifest.json');
+  if (manifest.format !== LIBRARY_FORMAT) throw new Error('Not a RankRates library export');
+  if (!(manifest.version >= 1 && manifest.version <= LIBRARY_FORMAT_VERSION)) throw new Error(`Unsupported export version ${manifest.version}`);
+  const meta = normalizeMeta(json('meta.json'));
+  const assets = new Map();
+  (manifest.assets || []).forEach(a=> {
+    const data = entries.get(a.file);
+    if (!data) throw new Error(`Asset ${a.id} missing from archive`);
+    if (typeof a.size === 'number' && data.length !== a.size) throw new Error(`Asset ${a.id} is truncated`);
+    assets.set(a.id, new Blob([data], { type: a.type || '' }));
+  });
+  return { manifest, meta, assets };
+}
+
+// Moves imported ids out of the way of local ones; returns the asset ids to write (old -> new)
+function mergeLibraryMeta(local, incoming) {
+  const num = (id) => parseInt(String(id).split('_').pop(), 10) || 0;
+  const bump = (kind, list, idOf) => {
+    const max = list.reduce((mx, x)=> Math.max(mx, num(idOf(x))), 0);
+    local.nextIds[kind] = Math.max(local.nextIds[kind], incoming.nextIds[kind] || 0, max + 1);
+  };
+  // fresh ids must not collide with either side's ids
+  bump('user', incoming.users, u=>u.id); bump('song', incoming.songs, s=>s.id);
+  bump('album', incoming.albums, a=>a.id); bump('playlist', incoming.playlists, p=>p.id);
+  bump('report', incoming.reports, r=>r.id); bump('play', incoming.plays, p=>p.id);
+  bump('notification', incoming.notifications, n=>n.id); bump('comment', incoming.comments, c=>c.id);
+  const assetMap = new Map();
+  const moveAsset = (aid, oldId, newId) => {
+    if (!aid) return aid;
+    const moved = oldId !== newId && aid.endsWith(':' + oldId) ? aid.slice(0, -String(oldId).length) + newId : aid;
+    assetMap.set(aid, moved);
+    return moved;
+  };
+  const userNames = new Set(local.users.map(u=>u.username));
+  incoming.users.forEach(u=> {
+    if (userNames.has(u.username)) return; // same account on both sides: keep the local one
+    sanitizeImportedUser(u); // no roles or verification from the archive; the password comes along
+    const oldId = u.id;
+    if (local.users.some(x=>x.id===u.id)) u.id = local.nextIds.user++;
+    u.imageAssetId = moveAsset(u.imageAssetId, oldId, u.id);
+    local.users.push(u);
+  });
+  const songIds = {}; const albumIds = {}; const songOldIds = {};
+  incoming.albums.forEach(a=> {
+    const oldId = a.id;
+    if (local.albums.some(x=>x.id===a.id)) a.id = `album_${local.nextIds.album++}`;
+    albumIds[oldId] = a.id;
+    a.coverAssetId = moveAsset(a.coverAssetId, oldId, a.id);
+  });
+  incoming.songs.forEach(s=> {
+    const oldId = s.id;
+    if (local.songs.some(x=>x.id===s.id)) s.id = `song_${local.nextIds.song++}`;
+    songIds[oldId] = s.id; songOldIds[s.id] = oldId;
+    s.assetId = moveAsset(s.assetId, oldId, s.id);
+    s.waveformAssetId = moveAsset(s.waveformAssetId, oldId, s.id);
+  });
+  // covers are usually the album's asset, so map them after every owner has moved
+  incoming.songs.forEach(s=> {
+    s.albumId = albumIds[s.albumId] || s.albumId;
+    if (s.coverAssetId) s.coverAssetId = assetMap.get(s.coverAssetId) || moveAsset(s.coverAssetId, songOldIds[s.id], s.id);
+    local.songs.push(s);
+  });
+  incoming.albums.forEach(a=> { a.tracks = a.tracks.map(t=> songIds[t] || t); local.albums.push(a); });
+  const playlistIds = {};
+  incoming.playlists.forEach(p=> {
+    const oldId = p.id;
+    if (local.playlists.some(x=>x.id===p.id)) p.id = `playlist_${local.nextIds.playlist++}`;
+    playlistIds[oldId] = p.id;
+    p.coverAssetId = moveAsset(p.coverAssetId, oldId, p.id);
+    p.tracks.forEach(t=> { t.songId = songIds[t.songId] || t.songId; });
+    local.playlists.push(p);
+  });
+  ['likes', 'dislikes'].forEach(key=> Object.entries(incoming[key]).forEach(([sid, users])=> {
+    const id = songIds[sid] || sid;
+    local[key][id] = Array.from(new Set([...(local[key][id] || []), ...users]));
+  }));
+  Object.entries(incoming.followers).forEach(([u, fans])=> {
+    local.followers[u] = Array.from(new Set([...(local.followers[u] || []), ...fans]));
+  });
+  incoming.reports.forEach(r=> {
+    if (local.reports.some(x=>x.id===r.id)) r.id = `report_${local.nextIds.report++}`;
+    r.songId = songIds[r.songId] || r.songId;
+    local.reports.push(r);
+  });
+  // the archive's audit log is not merged: this log only records what happened here (importLibrary logs the import)
+  const notificationIds = new Set(local.notifications.map(n=>n.id));
+  incoming.notifications.forEach(n=> {
+    if (notificationIds.has(n.id)) n.id = `notification_${local.nextIds.notification++}`;
+    if (n.albumId) n.albumId = albumIds[n.albumId] || n.albumId;
+    if (n.songIds) n.songIds = n.songIds.map(id=> songIds[id] || id);
+    if (n.playlistId) n.playlistId = playlistIds[n.playlistId] || n.playlistId;
+    if (n.songId) n.songId = songIds[n.songId] || n.songId;
+    local.notifications.push(n);
+  });
+  const commentIds = new Set(local.comments.map(c=>c.id)); const movedComments = {};
+  incoming.comments.forEach(c=> {
+    if (commentIds.has(c.id)) { const id = `comment_${local.nextIds.comment++}`; movedComments[c.id] = id; c.id = id; }
+    c.songId = songIds[c.songId] || c.songId;
+  });
+  incoming.comments.forEach(c=> { if (c.parentId) c.parentId = movedComments[c.parentId] || c.parentId; local.comments.push(c); });
+  local.notifications.forEach(n=> { if (n.commentId && incoming.notifications.includes(n)) n.commentId = movedComments[n.commentId] || n.commentId; });
+  local.notifications.sort((a, b)=> a.at - b.at);
+  const playIds = new Set(local.plays.map(p=>p.id));
+  incoming.plays.forEach(p=> {
+    if (playIds.has(p.id)) p.id = `play_${local.nextIds.play++}`;
+    p.songId = songIds[p.songId] || p.songId;
+    local.plays.push(p);
+  });
+  local.plays.sort((a, b)=> a.at - b.at);
+  return assetMap;
+}
+
+// mode: 'merge' keeps the local library and adds the archive to it; 'replace' swaps it out entirely
+async function importLibrary(file, mode='merge') {
+  if (!isAdmin()) throw new Error(ADMIN_ONLY.msg);
+  const { meta, assets } = await readLibraryArchive(file);
+  const counts = { songs: meta.songs.length, albums: meta.albums.length, playlists: meta.playlists.length, users: meta.users.length };
+  const detail = `${file.name}: ${counts.songs} songs, ${counts.albums} albums, ${counts.playlists} playlists, ${counts.users} users`;
+  if (mode === 'replace') {
+    logAudit('import-replace', 'library', detail);
+    meta.users.forEach(u=> sanitizeImportedUser(u, findUser(u.username)));
+    meta.auditLog = state.meta.auditLog; // the log records what happened in this library, not the archive's
+    await idbClear();
+    for (const [id, blob] of assets) await idbPut(id, blob);
+    // keep this machine's sign-ins for accounts that still exist
+    meta.sessions = {};
+    Object.entries(state.meta.sessions).forEach(([t, s])=> { if (meta.users.some(u=>u.username===s.username)) meta.sessions[t] = s; });
+    state.meta = meta;
+    if (state.currentUser) state.currentUser = meta.users.find(u=>u.username===state.currentUser.username) || null;
+    await ensureSuperAdmin();
+  } else {
+    const assetMap = mergeLibraryMeta(state.meta, meta);
+    for (const [oldId, newId] of assetMap) { const blob = assets.get(oldId); if (blob) await idbPut(newId, blob); }
+    logAudit('import-merge', 'library', detail);
+  }
+  saveMeta(state.meta);
+  return counts;
+}
+
+function openImportDialog() {
+  if (!isAdmin()) { toast(ADMIN_ONLY.msg); return; }
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Import library</h3>
+    <label>Backup archive (.zip): <input id="impFile" type="file" accept=".zip,application/zip" /></label>
+    <label><input type="radio" name="impMode" value="merge" checked style="width:auto" /> Merge into this library (clashing ids are renumbered)</label>
+    <label><input type="radio" name="impMode" value="replace" style="width:auto" /> Replace this library (everything here is deleted first)</label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+      <button id="impCancel">Cancel</button><button id="impGo">Import</button>
+    </div></div>`;
+  document.body.appendChild(modal);
+  modal.querySelector('#impCancel').addEventListener('click', ()=> modal.remove());
+  modal.querySelector('#impGo').addEventListener('click', async (e)=> {
+    const file = modal.querySelector('#impFile').files[0];
+    const mode = modal.querySelector('input[name="impMode"]:checked').value;
+    if (!file) { toast('Choose an archive'); return; }
+    if (mode === 'replace' && !confirm('Replace the whole library with this backup? This cannot be undone.')) return;
+    e.target.disabled = true;
+    try {
+      const res = await importLibrary(file, mode);
+      toast(`Imported ${res.songs} songs, ${res.albums} albums, ${res.playlists} playlists`);
+      modal.remove();
+      renderAuthArea(); renderUserMini(); renderMainRoute();
+    } catch (err) {
+      console.error(err); alert('Import failed: ' + err.message);
+      e.target.disabled = false;
+    }
+  });
+}
+
+/* ---------------------------
+   Moderation: admins, reports, audit log
+   --------------------------- */
+const ADMIN_ONLY = {ok:false, msg:'Admins only'};
+
+function findUser(username) { return state.meta.users.find(u=>u.username===username); }
+
+function isAdmin(user=state.currentUser) { return !!user && !!(user.superAdmin || user.admin); }
+
+// Admins act on regular users; only the super admin acts on other admins, and nobody on the super admin
+function canModerate(target, user=state.currentUser) {
+  if (!isAdmin(user) || !target || target.superAdmin || target.username === user.username) return false;
+  return !target.admin || !!user.superAdmin;
+}
+
+function logAudit(action, target, detail='') {
+  state.meta.auditLog.push({ at: Date.now(), actor: state.currentUser?.username || null, action, target, detail });
+}
+
+function setUserVerified(username, verified) {
+  const u = findUser(username); if (!u) return {ok:false, msg:'User not found'};
+  if (!canModerate(u)) return {ok:false, msg:'You cannot change this user'};
+  u.verified = !!verified;
+  logAudit(verified ? 'verify' : 'unverify', username);
+  saveMeta(state.meta);
+  return {ok:true};
 }
 
-function fileToBlob(file) {
-  return new Promise((res)=> {
-    const r = new FileReader();
-    r.onload = ()=> {
-      const arr = new Uint8Array(r.result);
-      res(new Blob([arr], {type: file.type}));
-    };
-    r.readAsArrayBuffer(file);
-  });
+function setUserSuspended(username, suspended, reason='') {
+  const u = findUser(username);
+  if (!canModerate(u)) return {ok:false, msg:'You cannot suspend this user'};
+  if (suspended) {
+    u.suspended = true;
+    // sign them out everywhere
+    Object.entries(state.meta.sessions).forEach(([t, s])=> { if (s.username === username) delete state.meta.sessions[t]; });
+  } else delete u.suspended;
+  logAudit(suspended ? 'suspend' : 'unsuspend', username, reason);
+  saveMeta(state.meta);
+  return {ok:true};
 }
 
-function fileToImage(file) {
-  return new Promise((res,rej)=> {
-    const img = new Image();
-    const url = URL.createObjectURL(file);
-    img.onload = ()=> { URL.revokeObjectURL(url); res(img); };
-    img.onerror = (e)=> rej(e);
-    img.src = url;
+function setUserAdmin(username, admin) {
+  if (!state.currentUser?.superAdmin) return {ok:false, msg:'Only the super admin can change admins'};
+  const u = findUser(username);
+  if (!u || u.superAdmin) return {ok:false, msg:'User not found'};
+  if (admin) u.admin = true; else delete u.admin;
+  logAudit(admin ? 'promote-admin' : 'revoke-admin', username);
+  saveMeta(state.meta);
+  return {ok:true};
+}
+
+function dropFromPlayer(songId) {
+  const p = state.player;
+  if (p.play?.songId === songId) p.play = null;
+  if (p.preloaded?.songId === songId) p.preloaded = null;
+  if (p.currentSongId === songId && p.audioEl) {
+    p.audioEl.pause(); p.audioEl.removeAttribute('src');
+    p.currentSongId = null; p.playing = false;
+    setPlayButtons(false);
+    $('#playerTitle').textContent = '—'; $('#playerArtist').textContent = '—'; $('#playerCover').removeAttribute('src');
+  }
+  const current = p.queue[p.index];
+  p.queue = p.queue.filter(id=>id!==songId);
+  p.baseQueue = p.baseQueue.filter(id=>id!==songId);
+  p.index = Math.max(0, p.queue.indexOf(current));
+  renderQueueDrawer();
+  savePlayerState({ now: true });
+}
+
+// Deletes a song and every reference to it, plus its audio and any cover nothing else uses.
+// No permission check: callers decide who may remove what.
+async function removeSong(songId) {
+  const m = state.meta;
+  const song = m.songs.find(s=>s.id===songId);
+  if (!song) return {ok:false, msg:'Song not found'};
+  m.songs = m.songs.filter(s=>s.id!==songId);
+  const emptied = [];
+  m.albums.forEach(a=> { a.tracks = a.tracks.filter(t=>t!==songId); if (a.tracks.length === 0) emptied.push(a); });
+  m.albums = m.albums.filter(a=>!emptied.includes(a));
+  const touched = m.playlists.filter(p=>p.tracks.some(t=>t.songId===songId));
+  touched.forEach(p=> { p.tracks = p.tracks.filter(t=>t.songId!==songId); });
+  delete m.likes[songId];
+  delete m.dislikes[songId];
+  m.plays = m.plays.filter(p=>p.songId!==songId);
+  m.notifications.forEach(n=> { if (n.songIds) n.songIds = n.songIds.filter(id=>id!==songId); });
+  m.notifications = m.notifications.filter(n=> (n.type !== 'upload' || n.songIds?.length) && n.songId !== songId);
+  m.comments = m.comments.filter(c=>c.songId!==songId);
+  m.reports.forEach(r=> {
+    if (r.songId === songId && r.status === 'open') Object.assign(r, { status:'removed', resolvedBy: state.currentUser?.username || null, resolvedAt: Date.now() });
   });
+  dropFromPlayer(songId);
+  const inUse = new Set([...m.songs.map(s=>s.coverAssetId), ...m.albums.map(a=>a.coverAssetId)]);
+  const assets = new Set([song.assetId, song.waveformAssetId, song.coverAssetId, ...emptied.map(a=>a.coverAssetId)]);
+  await Promise.all([...assets].filter(id=> id && !inUse.has(id)).map(id=> idbDelete(id).catch(e=>console.warn('asset delete', id, e))));
+  touched.forEach(p=> updatePlaylistCover(p));
+  saveMeta(m);
+  return {ok:true, song};
 }
 
-function imageToBlob(img) {
-  return new Promise((res)=> {
-    const c = document.createElement('canvas'); c.width=1200; c.height=1200;
-    const ctx = c.getContext('2d'); ctx.drawImage(img,0,0,c.width,c.height);
-    c.toBlob((b)=>res(b||new Blob()), 'image/jpeg', 0.9);
+async function adminRemoveSong(songId, reason='') {
+  if (!isAdmin()) return ADMIN_ONLY;
+  const res = await removeSong(songId);
+  if (res.ok) { logAudit('remove-song', songId, [res.song.title, reason].filter(Boolean).join(' — ')); saveMeta(state.meta); }
+  return res;
+}
+
+// Removes the account with its songs, playlists and sessions; their plays stay in the stats anonymously
+async function deleteUser(username) {
+  const m = state.meta;
+  const u = findUser(username);
+  if (!canModerate(u)) return {ok:false, msg:'You cannot delete this user'};
+  for (const s of m.songs.filter(s=>s.artist===username)) await removeSong(s.id);
+  m.playlists.filter(p=>p.owner===username).forEach(p=> { if (p.coverAssetId) idbDelete(p.coverAssetId).catch(e=>console.warn('cover delete', e)); });
+  m.playlists = m.playlists.filter(p=>p.owner!==username);
+  m.playlists.forEach(p=> { p.sharedWith = p.sharedWith.filter(x=>x!==username); });
+  ['likes', 'dislikes'].forEach(key=> Object.keys(m[key]).forEach(k=> { m[key][k] = m[key][k].filter(x=>x!==username); }));
+  m.songs.forEach(s=> { delete s.ratings[username]; });
+  delete m.followers[username];
+  Object.keys(m.followers).forEach(k=> { m.followers[k] = m.followers[k].filter(x=>x!==username); });
+  Object.entries(m.sessions).forEach(([t, s])=> { if (s.username === username) delete m.sessions[t]; });
+  m.plays.forEach(p=> { if (p.user === username) { p.user = null; touchPlay(p); } });
+  m.notifications = m.notifications.filter(n=> n.user !== username && n.actor !== username);
+  // their comments go; threads they started keep the replies under a placeholder
+  const gone = new Set();
+  m.comments.filter(c=>c.user===username).forEach(c=> {
+    if (m.comments.some(r=>r.parentId===c.id && r.user!==username)) Object.assign(c, { deleted: true, text: '', time: null, pinned: false, user: null });
+    else gone.add(c);
   });
+  m.comments = m.comments.filter(c=>!gone.has(c));
+  if (u.imageAssetId) idbDelete(u.imageAssetId).catch(e=>console.warn('image delete', e));
+  m.users = m.users.filter(x=>x!==u);
+  logAudit('delete-user', username);
+  saveMeta(m);
+  return {ok:true};
 }
 
-/* ---------------------------
-   Playlist system
-   --------------------------- */
-function createPlaylist(name, ownerUsername, isPrivate=false) {
-  const id = `playlist_${state.meta.nextIds.playlist++}`;
-  const pl = { id, name, owner: ownerUsername, tracks: [], coverAssetId: null, private: !!isPrivate, sharedWith: [], createdAt: Date.now() };
-  state.meta.playlists.push(pl);
+function reportSong(songId, reason) {
+  const me = state.currentUser;
+  if (!me) return {ok:false, msg:'Login to report'};
+  const m = state.meta;
+  const song = m.songs.find(s=>s.id===songId);
+  if (!song) return {ok:false, msg:'Song not found'};
+  reason = (reason||'').trim();
+  if (!reason) return {ok:false, msg:'Say what is wrong with it'};
+  if (m.reports.some(r=>r.songId===songId && r.reporter===me.username && r.status==='open')) return {ok:false, msg:'You already reported this song'};
+  m.reports.push({ id: `report_${m.nextIds.report++}`, songId, songTitle: song.title, reporter: me.username, reason, at: Date.now(), status: 'open' });
+  saveMeta(m);
+  return {ok:true};
+}
+
+// action: 'remove' takes the song down (closing every open report on it), 'dismiss' keeps it
+async function resolveReport(reportId, action) {
+  if (!isAdmin()) return ADMIN_ONLY;
+  const r = state.meta.reports.find(x=>x.id===reportId);
+  if (!r || r.status !== 'open') return {ok:false, msg:'Report already handled'};
+  if (action === 'remove') return adminRemoveSong(r.songId, `report: ${r.reason}`);
+  Object.assign(r, { status: 'dismissed', resolvedBy: state.currentUser.username, resolvedAt: Date.now() });
+  logAudit('dismiss-report', r.songId, r.reason);
   saveMeta(state.meta);
-  return pl;
+  return {ok:true};
+}
+
+function createReportButton(songId) {
+  const btn = document.createElement('button'); btn.className = 'report-btn'; btn.textContent = '⚑'; btn.title = 'Report';
+  btn.addEventListener('click', (e)=> {
+    e.stopPropagation();
+    if (!state.currentUser) { toast('Login to report'); return; }
+    const reason = prompt('What is wrong with this song?'); if (reason === null) return;
+    const res = reportSong(songId, reason);
+    toast(res.ok ? 'Reported — an admin will review it' : res.msg);
+  });
+  return btn;
 }
 
 /* ---------------------------
@@ -553,34 +3844,140 @@ function render() {
       navigate(route);
     });
   });
-  // search input
-  $('#globalSearchInput')?.addEventListener('input', (e)=> {
-    navigate('search', e.target.value);
-  });
+  initSearchSuggest();
+  if (!window._routerBound) {
+    window._routerBound = true;
+    window.addEventListener('hashchange', renderMainRoute);
+  }
 
   renderAuthArea();
   renderUserMini();
   renderMainRoute();
 }
 
-function navigate(route, param=null) {
-  state.route = route;
-  state.routeParam = param;
-  renderMainRoute();
+/* ---------------------------
+   Hash router: #/album/:id, #/artist/:username, #/search?q=...
+   --------------------------- */
+const ROUTES = [
+  { name:'home', path:'/home', title:'Home' },
+  { name:'search', path:'/search', title:'Search' },
+  { name:'charts', path:'/charts', title:'Charts' },
+  { name:'library', path:'/library', title:'Your Library' },
+  { name:'playlists', path:'/playlists', title:'Playlists' },
+  { name:'liked', path:'/liked', title:'Liked Songs' },
+  { name:'history', path:'/history', title:'History' },
+  { name:'following', path:'/following', title:'Following' },
+  { name:'releases', path:'/releases', title:'New releases' },
+  { name:'notifications', path:'/notifications', title:'Notifications' },
+  { name:'upload', path:'/upload', title:'Upload Music' },
+  { name:'admin', path:'/admin', title:'Admin' },
+  { name:'album', path:'/album/:id', parent:'library' },
+  { name:'song', path:'/song/:id' },
+  { name:'artist', path:'/artist/:username' },
+  { name:'dashboard', path:'/dashboard/:username' },
+  { name:'playlist', path:'/playlist/:id', parent:'playlists' },
+  { name:'profile', path:'/profile/:username' }
+];
+
+function routeHash(route, param=null) {
+  const r = ROUTES.find(x=>x.name===route) || ROUTES[0];
+  if (r.name === 'search') return '#/search' + (param ? '?q=' + encodeURIComponent(param) : '');
+  return '#' + r.path.replace(/:\w+/, ()=> encodeURIComponent(param ?? ''));
+}
+
+function parseHash(hash=location.hash) {
+  const raw = hash.replace(/^#/, '');
+  const [path, qs=''] = raw.split('?');
+  const query = Object.fromEntries(new URLSearchParams(qs));
+  const parts = path.split('/').filter(Boolean);
+  if (parts.length === 0) return { route: 'home', param: null, query };
+  for (const r of ROUTES) {
+    const segs = r.path.split('/').filter(Boolean);
+    if (segs.length !== parts.length) continue;
+    let param = null;
+    const ok = segs.every((seg, i)=> {
+      if (!seg.startsWith(':')) return seg === parts[i];
+      try { param = decodeURIComponent(parts[i]); } catch (e) { param = parts[i]; }
+      return true;
+    });
+    if (ok) return { route: r.name, param: r.name === 'search' ? (query.q || '') : param, query };
+  }
+  return null;
+}
+
+// replace: update the current history entry instead of adding one
+function navigate(route, param=null, { replace = false } = {}) {
+  const hash = routeHash(route, param);
+  if (location.hash === hash) { renderMainRoute(); return; }
+  if (replace) { history.replaceState(null, '', hash); renderMainRoute(); }
+  else location.hash = hash; // hashchange renders
 }
 
 function renderMainRoute() {
   const area = $('#contentArea'); if (!area) return;
+  const parsed = parseHash();
+  if (!parsed) { navigate('home', null, { replace: true }); return; }
+  state.route = parsed.route;
+  state.routeParam = parsed.param;
   try {
     if (state.route === 'home') renderHome();
     else if (state.route === 'search') renderSearchPage(state.routeParam || '');
+    else if (state.route === 'charts') renderCharts();
     else if (state.route === 'library') renderLibrary();
     else if (state.route === 'playlists') renderPlaylists();
     else if (state.route === 'liked') renderLiked();
-    else if (state.route === 'upload') openUploadModal();
+    else if (state.route === 'history') renderHistory();
+    else if (state.route === 'following') renderFollowing();
+    else if (state.route === 'releases') renderReleases();
+    else if (state.route === 'notifications') renderNotifications();
+    else if (state.route === 'upload') { renderHome(); openUploadModal(); }
+    else if (state.route === 'admin') renderAdmin();
+    else if (state.route === 'album') renderAlbum(state.routeParam);
+    else if (state.route === 'song') renderSong(state.routeParam);
+    else if (state.route === 'artist') renderArtist(state.routeParam);
+    else if (state.route === 'dashboard') renderDashboard(state.routeParam);
+    else if (state.route === 'playlist') renderPlaylist(state.routeParam);
+    else if (state.route === 'profile') renderProfile(state.routeParam);
     else renderHome();
   } catch (e) { console.error(e); area.innerHTML = '<p>Error rendering</p>'; }
-  $('#breadcrumbs').textContent = state.route.charAt(0).toUpperCase() + state.route.slice(1);
+  const gs = $('#globalSearchInput');
+  if (gs && state.route === 'search' && document.activeElement !== gs) gs.value = state.routeParam || '';
+  renderBreadcrumbs();
+}
+
+function routeCrumbs(route, param) {
+  const r = ROUTES.find(x=>x.name===route);
+  const m = state.meta;
+  const user = (u) => m.users.find(x=>x.username===u);
+  if (route === 'search') return [['Search', routeHash('search')], ...(param ? [[`“${param}”`]] : [])];
+  if (route === 'album') return [['Your Library', routeHash('library')], [m.albums.find(a=>a.id===param)?.title || 'Album']];
+  if (route === 'playlist') {
+    const pl = findPlaylist(param);
+    return [['Playlists', routeHash('playlists')], [pl && canViewPlaylist(pl) ? pl.name : 'Playlist']];
+  }
+  if (route === 'song') {
+    const s = m.songs.find(x=>x.id===param);
+    return s ? [[user(s.artist)?.displayName || s.artist, routeHash('artist', s.artist)], [s.title]] : [['Song']];
+  }
+  if (route === 'artist') return [['Artist'], [user(param)?.displayName || param]];
+  if (route === 'dashboard') return [[user(param)?.displayName || param, routeHash('artist', param)], ['Dashboard']];
+  if (route === 'profile') return [['Profile'], [user(param)?.displayName || param]];
+  return [[r ? r.title : 'Home']];
+}
+
+function renderBreadcrumbs() {
+  const el = $('#breadcrumbs'); if (!el) return;
+  el.innerHTML = '';
+  const crumbs = routeCrumbs(state.route, state.routeParam);
+  crumbs.forEach(([label, href], i)=> {
+    if (i > 0) el.appendChild(document.createElement('span')).textContent = ' › ';
+    const last = i === crumbs.length - 1;
+    const c = document.createElement(href && !last ? 'a' : 'span');
+    c.textContent = label;
+    if (href && !last) c.href = href;
+    el.appendChild(c);
+  });
+  document.title = `${crumbs[crumbs.length-1][0]} · RankRates Music`;
 }
 
 /* Home */
@@ -590,7 +3987,8 @@ function renderHome() {
   const section = document.createElement('div');
   section.innerHTML = `<h2>Recently Played</h2>`;
   const recentDiv = document.createElement('div'); recentDiv.className='grid';
-  const rp = state.meta.recentlyPlayed || [];
+  const rp = recentlyPlayedIds();
+  if (rp.length === 0) recentDiv.innerHTML = '<p>Nothing played yet</p>';
   rp.slice(0,8).forEach(sid=>{
     const s = state.meta.songs.find(x=>x.id===sid);
     if (!s) return;
@@ -599,28 +3997,32 @@ function renderHome() {
   });
   section.appendChild(recentDiv);
 
-  // daily mixes - generate from songs
+  // daily mixes - rebuilt every day from your listening
   const mixes = document.createElement('div'); mixes.innerHTML = `<h2>Daily Mixes</h2>`;
   const mixGrid = document.createElement('div'); mixGrid.className='grid';
-  for (let i=0;i<4;i++){
+  const userName = (u) => findUser(u)?.displayName || u;
+  const dm = dailyMixes();
+  if (dm.length === 0) mixGrid.innerHTML = '<p>Listen to a few songs to get your mixes</p>';
+  dm.forEach(mix=>{
     const card = document.createElement('div'); card.className='card';
     const img = document.createElement('img'); img.alt='mix';
-    const someSong = state.meta.songs[i % state.meta.songs.length];
-    if (someSong) idbGet(someSong.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
-    const t = document.createElement('div'); t.textContent = `Daily Mix ${i+1}`;
-    card.appendChild(img); card.appendChild(t);
-    card.addEventListener('click', ()=> {
-      const q = state.meta.songs.map(s=>s.id);
-      if (q.length) playSong(q[i%q.length], q);
-    });
+    const first = state.meta.songs.find(s=>s.id===mix.songIds[0]);
+    if (first?.coverAssetId) idbGet(first.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+    const t = document.createElement('div'); t.textContent = mix.name;
+    const seeds = document.createElement('small');
+    seeds.textContent = mix.seeds.map(userName).join(', ') + (mix.genre ? ` · ${mix.genre}` : '');
+    card.appendChild(img); card.appendChild(t); card.appendChild(seeds);
+    card.addEventListener('click', ()=> playSong(mix.songIds[0], mix.songIds));
     mixGrid.appendChild(card);
-  }
+  });
   mixes.appendChild(mixGrid);
 
   // recommended songs
   const rec = document.createElement('div'); rec.innerHTML = `<h2>Recommended</h2>`;
   const recGrid = document.createElement('div'); recGrid.className='grid';
-  state.meta.songs.slice(0,8).forEach(s=>{
+  const picks = recommendSongs();
+  if (picks.length === 0) recGrid.innerHTML = '<p>Nothing new to recommend right now</p>';
+  picks.forEach(s=>{
     const c = createSongCard(s);
     recGrid.appendChild(c);
   });
@@ -635,26 +4037,132 @@ function renderSearchPage(query='') {
   area.innerHTML = `<h2>Search</h2>`;
   const input = document.createElement('input'); input.placeholder='Search...'; input.value = query || '';
   input.style.width='100%'; input.style.marginBottom='12px';
-  input.addEventListener('input', ()=> renderSearchResults(input.value));
+  input.addEventListener('input', ()=> {
+    history.replaceState(null, '', routeHash('search', input.value));
+    state.routeParam = input.value;
+    renderSearchResults(input.value);
+  });
   area.appendChild(input);
+  const f = state.searchFilters;
+  const filters = document.createElement('div'); filters.className = 'filters';
+  const mkSelect = (key, options) => {
+    const sel = document.createElement('select');
+    options.forEach(([value, label])=> {
+      const opt = document.createElement('option'); opt.value = value; opt.textContent = label;
+      sel.appendChild(opt);
+    });
+    sel.value = f[key];
+    sel.addEventListener('change', ()=> { f[key] = sel.value; renderSearchResults(state.routeParam || ''); });
+    filters.appendChild(sel);
+  };
+  const uniq = (arr) => Array.from(new Set(arr.filter(Boolean))).sort();
+  mkSelect('genre', [['', 'All genres'], ...uniq(state.meta.songs.map(s=>s.genre)).map(g=>[g,g])]);
+  mkSelect('language', [['', 'All languages'], ...uniq(state.meta.songs.map(s=>s.language)).map(l=>[l,l])]);
+  mkSelect('explicit', [['', 'Clean & explicit'], ['clean', 'Clean only'], ['explicit', 'Explicit only']]);
+  mkSelect('year', [['', 'Any year'], ...uniq(state.meta.songs.map(s=>String(songYear(s)))).reverse().map(y=>[y,y])]);
+  area.appendChild(filters);
   const results = document.createElement('div'); results.id='searchResults'; area.appendChild(results);
   renderSearchResults(query);
 }
+
 function renderSearchResults(q) {
   const root = $('#searchResults'); if (!root) return;
-  const qq = (q||'').toLowerCase();
   root.innerHTML = '';
-  const songs = state.meta.songs.filter(s=> s.title.toLowerCase().includes(qq) || s.artist.toLowerCase().includes(qq) || (s.genre||'').toLowerCase().includes(qq));
-  if (songs.length === 0) { root.innerHTML = '<p>No results</p>'; return; }
-  const grid = document.createElement('div'); grid.className='grid';
-  songs.forEach(s=> grid.appendChild(createSongCard(s)));
-  root.appendChild(grid);
+  const r = searchLibrary(q, state.searchFilters);
+  if (!q && !hasSearchFilters(state.searchFilters)) { root.innerHTML = '<p>Search by title, artist, album or playlist — typos are fine</p>'; return; }
+  if (!r.songs.length && !r.albums.length && !r.artists.length && !r.playlists.length) { root.innerHTML = '<p>No results</p>'; return; }
+  const section = (title, items, cardOf) => {
+    if (!items.length) return;
+    root.appendChild(document.createElement('h3')).textContent = title;
+    const grid = document.createElement('div'); grid.className='grid';
+    items.forEach(x=> grid.appendChild(cardOf(x)));
+    root.appendChild(grid);
+  };
+  const card = (title, sub, assetId, onClick) => {
+    const el = document.createElement('div'); el.className='card';
+    const img = document.createElement('img'); img.alt = title;
+    if (assetId) idbGet(assetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+    el.appendChild(img);
+    el.appendChild(document.createElement('div')).textContent = title;
+    el.appendChild(document.createElement('small')).textContent = sub;
+    el.addEventListener('click', onClick);
+    return el;
+  };
+  const name = (u) => findUser(u)?.displayName || u;
+  section('Artists', r.artists, u=> card(u.displayName || u.username, u.verified ? 'Verified artist' : 'Artist', u.imageAssetId, ()=> navigate('artist', u.username)));
+  section('Songs', r.songs, s=> createSongCard(s));
+  section('Albums', r.albums, a=> card(a.title, `${name(a.artist)} · ${a.year}`, a.coverAssetId, ()=> navigate('album', a.id)));
+  section('Playlists', r.playlists, p=> card(p.name, `${name(p.owner)} · ${p.tracks.length} tracks`, p.coverAssetId, ()=> navigate('playlist', p.id)));
+}
+
+/* Charts */
+const CHART_WINDOWS = [['all','All time'], ['7','Last 7 days'], ['30','Last 30 days'], ['365','Last year']];
+
+function renderCharts() {
+  const area = $('#contentArea'); if (!area) return;
+  area.innerHTML = '<h2>Charts</h2>';
+  const f = state.chartFilters;
+  const filters = document.createElement('div'); filters.className = 'filters';
+  const mkSelect = (key, options) => {
+    const sel = document.createElement('select');
+    options.forEach(([value, label])=> {
+      const opt = document.createElement('option'); opt.value = value; opt.textContent = label;
+      sel.appendChild(opt);
+    });
+    sel.value = f[key];
+    sel.addEventListener('change', ()=> { f[key] = sel.value; renderChartList(); });
+    filters.appendChild(sel);
+  };
+  const uniq = (arr) => Array.from(new Set(arr.filter(Boolean))).sort();
+  mkSelect('genre', [['', 'All genres'], ...uniq(state.meta.songs.map(s=>s.genre)).map(g=>[g,g])]);
+  mkSelect('language', [['', 'All languages'], ...uniq(state.meta.songs.map(s=>s.language)).map(l=>[l,l])]);
+  mkSelect('window', CHART_WINDOWS);
+  area.appendChild(filters);
+  const list = document.createElement('div'); list.id = 'chartList'; area.appendChild(list);
+  renderChartList();
+}
+
+function renderChartList() {
+  const root = $('#chartList'); if (!root) return;
+  root.innerHTML = '';
+  const ranked = chartSongs(state.chartFilters);
+  if (ranked.length === 0) { root.innerHTML = '<p>No rated songs match these filters</p>'; return; }
+  const queue = ranked.map(r=>r.song.id);
+  ranked.forEach((r, idx)=> {
+    const s = r.song;
+    const row = document.createElement('div'); row.className = 'chart-row';
+    const pos = document.createElement('div'); pos.className = 'chart-pos'; pos.textContent = idx+1;
+    const img = document.createElement('img'); img.className = 'cover'; img.alt = 'cover';
+    if (s.coverAssetId) idbGet(s.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+    const info = document.createElement('div'); info.style.flex = '1';
+    info.appendChild(document.createElement('div')).textContent = s.title;
+    const by = info.appendChild(document.createElement('small'));
+    by.append(createArtistLink(s.artist), ` · ${s.genre || ''}`);
+    const score = document.createElement('div'); score.className = 'chart-score';
+    score.textContent = r.score.toFixed(2); score.title = 'Weighted rating';
+    row.appendChild(pos); row.appendChild(img); row.appendChild(info);
+    row.appendChild(createRatingWidget(s)); row.appendChild(score);
+    row.addEventListener('dblclick', ()=> playSong(s.id, queue));
+    root.appendChild(row);
+  });
 }
 
 /* Library */
 function renderLibrary() {
   const area = $('#contentArea'); if (!area) return;
   area.innerHTML = '<h2>Your Library</h2>';
+  const tools = document.createElement('div'); tools.className = 'pl-controls';
+  // backup and cleanup tools can wipe, overwrite or delete library data: admins only
+  if (isAdmin()) {
+    const exp = document.createElement('button'); exp.textContent = 'Export library';
+    exp.addEventListener('click', downloadLibraryExport);
+    const imp = document.createElement('button'); imp.textContent = 'Import library';
+    imp.addEventListener('click', openImportDialog);
+    const clean = document.createElement('button'); clean.textContent = 'Clean up storage';
+    clean.addEventListener('click', runStorageCleanup);
+    tools.appendChild(exp); tools.appendChild(imp); tools.appendChild(clean);
+  }
+  if (tools.children.length) area.appendChild(tools);
   const grid = document.createElement('div'); grid.className='grid';
   state.meta.albums.forEach(a=>{
     const card = document.createElement('div'); card.className='card';
@@ -662,7 +4170,7 @@ function renderLibrary() {
     idbGet(a.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
     const t = document.createElement('div'); t.textContent = a.title;
     card.appendChild(img); card.appendChild(t);
-    card.addEventListener('click', ()=> renderAlbum(a.id));
+    card.addEventListener('click', ()=> navigate('album', a.id));
     grid.appendChild(card);
   });
   area.appendChild(grid);
@@ -677,14 +4185,21 @@ function renderPlaylists() {
     if (!state.currentUser) { toast('Login to create'); return; }
     const name = prompt('Playlist name'); if (!name) return;
     const pl = createPlaylist(name, state.currentUser.username, false);
-    renderPlaylist(pl.id);
+    navigate('playlist', pl.id);
   });
   area.appendChild(newBtn);
   const list = document.createElement('div');
-  state.meta.playlists.forEach(p=>{
+  list.className='grid';
+  const visible = state.meta.playlists.filter(p=>canViewPlaylist(p));
+  if (visible.length === 0) list.innerHTML = '<p>No playlists yet</p>';
+  visible.forEach(p=>{
     const el = document.createElement('div'); el.className='card';
-    el.textContent = `${p.name} — ${p.owner}`;
-    el.addEventListener('click', ()=> renderPlaylist(p.id));
+    const img = document.createElement('img'); img.alt='playlist'; img.dataset.playlistCover = p.id;
+    if (p.coverAssetId) idbGet(p.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+    const t = document.createElement('div'); t.textContent = p.name;
+    const o = document.createElement('small'); o.textContent = `${p.owner} · ${p.tracks.length} tracks${p.private ? ' · Private' : ''}`;
+    el.appendChild(img); el.appendChild(t); el.appendChild(o);
+    el.addEventListener('click', ()=> navigate('playlist', p.id));
     list.appendChild(el);
   });
   area.appendChild(list);
@@ -694,22 +4209,82 @@ function renderPlaylists() {
 function renderPlaylist(id) {
   const pl = state.meta.playlists.find(x=>x.id===id);
   const area = $('#contentArea'); if (!area) return;
-  if (!pl) { area.innerHTML = '<p>Playlist not found</p>'; return; }
-  area.innerHTML = `<h2>${pl.name}</h2>`;
-  const controls = document.createElement('div');
+  // private playlists are indistinguishable from missing ones for outsiders
+  if (!pl || !canViewPlaylist(pl)) { area.innerHTML = '<p>Playlist not found</p>'; return; }
+  const editable = canEditPlaylist(pl);
+  const songIds = playlistSongIds(pl);
+  area.innerHTML = '';
+  const head = document.createElement('div'); head.className = 'pl-head';
+  const img = document.createElement('img'); img.className = 'pl-cover'; img.alt = 'playlist cover'; img.dataset.playlistCover = pl.id;
+  if (pl.coverAssetId) idbGet(pl.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+  const info = document.createElement('div');
+  info.appendChild(document.createElement('h2')).textContent = pl.name;
+  info.appendChild(document.createElement('small')).textContent = `By ${pl.owner} · ${pl.tracks.length} tracks`;
+  const badges = document.createElement('div'); badges.style.marginTop = '6px';
+  if (pl.private) badges.appendChild(document.createElement('span')).textContent = 'Private';
+  if (pl.collaborative) badges.appendChild(document.createElement('span')).textContent = 'Collaborative';
+  Array.from(badges.children).forEach(b=> b.className = 'badge');
+  info.appendChild(badges);
+  head.appendChild(img); head.appendChild(info);
+  area.appendChild(head);
+
+  const controls = document.createElement('div'); controls.className = 'pl-controls';
   const playAll = document.createElement('button'); playAll.textContent='Play All';
   playAll.addEventListener('click', ()=> {
-    playSong(pl.tracks[0], pl.tracks);
+    if (songIds.length) playSong(songIds[0], songIds);
   });
   controls.appendChild(playAll);
+  if (editable) {
+    const rename = document.createElement('button'); rename.textContent = 'Rename';
+    rename.addEventListener('click', ()=> {
+      const name = prompt('Playlist name', pl.name); if (name === null) return;
+      const res = renamePlaylist(pl.id, name);
+      if (!res.ok) toast(res.msg); else renderPlaylist(pl.id);
+    });
+    const del = document.createElement('button'); del.textContent = 'Delete';
+    del.addEventListener('click', ()=> {
+      if (!confirm(`Delete playlist "${pl.name}"?`)) return;
+      const res = deletePlaylist(pl.id);
+      if (!res.ok) toast(res.msg); else { toast('Playlist deleted'); navigate('playlists'); }
+    });
+    const share = document.createElement('button'); share.textContent = 'Share';
+    share.addEventListener('click', ()=> openShareDialog(pl.id));
+    controls.appendChild(rename); controls.appendChild(share); controls.appendChild(del);
+  }
   area.appendChild(controls);
 
   const table = document.createElement('div');
-  pl.tracks.forEach((sid, idx)=>{
+  if (pl.tracks.length === 0) table.innerHTML = '<p><small>No tracks yet — use ＋ on any song to add it here</small></p>';
+  let dragFrom = null;
+  pl.tracks.forEach((t, idx)=>{
+    const sid = t.songId;
     const s = state.meta.songs.find(x=>x.id===sid);
-    const row = document.createElement('div'); row.style.display='flex'; row.style.gap='12px'; row.style.padding='8px';
-    row.innerHTML = `<div>${idx+1}</div><div style="flex:1">${s? s.title:'Missing'}</div><div>${s? s.artist:''}</div>`;
-    row.addEventListener('dblclick', ()=> { playSong(sid, pl.tracks); });
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.innerHTML = `<div class="track-no"></div><div style="flex:1"></div><div></div><small></small>`;
+    row.children[0].textContent = idx+1;
+    row.children[1].textContent = s ? s.title : 'Missing';
+    row.children[2].textContent = s ? s.artist : '';
+    row.children[3].textContent = `added by ${t.addedBy || pl.owner} · ${new Date(t.addedAt || pl.createdAt).toLocaleDateString()}`;
+    row.addEventListener('dblclick', ()=> { playSong(sid, songIds); });
+    if (editable) {
+      row.draggable = true;
+      row.addEventListener('dragstart', (e)=> { dragFrom = idx; e.dataTransfer.effectAllowed = 'move'; row.classList.add('dragging'); });
+      row.addEventListener('dragend', ()=> row.classList.remove('dragging'));
+      row.addEventListener('dragover', (e)=> { e.preventDefault(); row.classList.add('drop-target'); });
+      row.addEventListener('dragleave', ()=> row.classList.remove('drop-target'));
+      row.addEventListener('drop', (e)=> {
+        e.preventDefault(); row.classList.remove('drop-target');
+        if (dragFrom === null) return;
+        const res = moveInPlaylist(pl.id, dragFrom, idx); dragFrom = null;
+        if (!res.ok) toast(res.msg); else renderPlaylist(pl.id);
+      });
+      const rm = document.createElement('button'); rm.textContent = '✕'; rm.title = 'Remove from playlist';
+      rm.addEventListener('click', ()=> {
+        const res = removeFromPlaylist(pl.id, idx);
+        if (!res.ok) toast(res.msg); else renderPlaylist(pl.id);
+      });
+      row.appendChild(rm);
+    }
     table.appendChild(row);
   });
   area.appendChild(table);
@@ -726,27 +4301,422 @@ function renderLiked() {
   area.appendChild(g);
 }
 
+/* Following, new releases & notifications */
+function renderFollowing() {
+  const area = $('#contentArea'); if (!area) return;
+  area.innerHTML = '<h2>Following</h2>';
+  if (!state.currentUser) { area.insertAdjacentHTML('beforeend', '<p>Sign in to follow artists</p>'); return; }
+  const artists = followingOf(state.currentUser.username).map(findUser).filter(Boolean);
+  if (artists.length === 0) { area.insertAdjacentHTML('beforeend', '<p>You don’t follow anyone yet. Follow artists from their page to see their uploads here.</p>'); return; }
+  const g = document.createElement('div'); g.className = 'grid';
+  artists.forEach(u=> {
+    const card = document.createElement('div'); card.className = 'card';
+    const img = document.createElement('img'); img.alt = '';
+    if (u.imageAssetId) idbGet(u.imageAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+    const n = state.meta.songs.filter(s=>s.artist===u.username).length;
+    card.appendChild(img);
+    card.appendChild(document.createElement('div')).textContent = `${u.displayName || u.username}${u.verified ? ' ✔' : ''}`;
+    card.appendChild(document.createElement('small')).textContent = `${n} track${n === 1 ? '' : 's'}`;
+    card.addEventListener('click', ()=> navigate('artist', u.username));
+    g.appendChild(card);
+  });
+  area.appendChild(g);
+}
+
+function renderReleases() {
+  const area = $('#contentArea'); if (!area) return;
+  area.innerHTML = '<h2>New releases</h2>';
+  if (!state.currentUser) { area.insertAdjacentHTML('beforeend', '<p>Sign in and follow artists to see their new uploads</p>'); return; }
+  const feed = newReleases(state.currentUser.username);
+  if (feed.length === 0) { area.insertAdjacentHTML('beforeend', `<p>Nothing new from the artists you follow in the last ${RELEASES_DAYS} days</p>`); return; }
+  feed.forEach(r=> {
+    const block = document.createElement('div'); block.className = 'discography-album';
+    block.innerHTML = `<img class="cover" alt="cover" /><div style="flex:1"><a></a> <small></small><div class="album-tracks"></div></div>`;
+    const cover = r.album?.coverAssetId || r.songs[0].coverAssetId;
+    if (cover) idbGet(cover).then(b=>{ if (b) block.querySelector('img').src = URL.createObjectURL(b); });
+    const link = block.querySelector('a'); link.textContent = r.album?.title || r.songs[0].title;
+    if (r.album) link.href = routeHash('album', r.album.id);
+    const info = block.querySelector('small');
+    info.append(createArtistLink(r.artist), ` · ${new Date(r.at).toLocaleDateString()} · ${r.songs.length} new track${r.songs.length === 1 ? '' : 's'}`);
+    const songs = r.songs.sort((a, b)=> (a.discNo || 1) - (b.discNo || 1) || (a.trackNo || 0) - (b.trackNo || 0));
+    const queue = songs.map(s=>s.id);
+    songs.forEach(s=> {
+      const row = document.createElement('div'); row.className = 'track-row';
+      row.innerHTML = `<div style="flex:1"></div><small>${formatTime(s.duration)}</small><div><button>Play</button></div>`;
+      row.firstChild.textContent = s.title;
+      row.querySelector('button').addEventListener('click', ()=> playSong(s.id, queue));
+      row.lastElementChild.appendChild(createAddToPlaylistButton(s.id, '＋ Playlist'));
+      block.querySelector('.album-tracks').appendChild(row);
+    });
+    area.appendChild(block);
+  });
+}
+
+function renderNotifications() {
+  const area = $('#contentArea'); if (!area) return;
+  area.innerHTML = '<h2>Notifications</h2>';
+  if (!state.currentUser) { area.insertAdjacentHTML('beforeend', '<p>Sign in to see your notifications</p>'); return; }
+  const list = userNotifications().slice().reverse();
+  if (list.length === 0) { area.insertAdjacentHTML('beforeend', '<p>No notifications yet</p>'); return; }
+  if (list.some(n=>!n.read)) {
+    const all = document.createElement('button'); all.textContent = 'Mark all as read';
+    all.addEventListener('click', ()=> { markNotificationsRead(); renderNotifications(); });
+    area.appendChild(all);
+  }
+  list.forEach(n=> {
+    const row = document.createElement('div'); row.className = 'track-row notification' + (n.read ? '' : ' unread');
+    row.innerHTML = `<div style="flex:1"></div><small>${new Date(n.at).toLocaleString()}</small>`;
+    row.firstChild.textContent = notificationText(n);
+    row.addEventListener('click', ()=> openNotification(n));
+    area.appendChild(row);
+  });
+}
+
+/* Listening history */
+function renderHistory() {
+  const area = $('#contentArea'); if (!area) return;
+  area.innerHTML = '<h2>History</h2>';
+  const plays = userPlays().slice(-200).reverse();
+  if (plays.length === 0) { area.insertAdjacentHTML('beforeend', '<p>Nothing played yet</p>'); return; }
+  const list = document.createElement('div');
+  plays.forEach(p=> {
+    const s = state.meta.songs.find(x=>x.id===p.songId); if (!s) return;
+    const status = p.finished ? 'Finished' : p.skipped ? 'Skipped' : typeof p.listened === 'number' ? `${formatTime(p.listened)} listened` : '';
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.innerHTML = `<div style="flex:1">${escapeHtml(s.title)} <small>— </small></div><small>${status}</small><small>${new Date(p.at).toLocaleString()}</small>`;
+    row.querySelector('small').appendChild(createArtistLink(s.artist));
+    row.addEventListener('dblclick', ()=> playSong(s.id, [s.id]));
+    list.appendChild(row);
+  });
+  area.appendChild(list);
+}
+
+/* Artist dashboard */
+const DASHBOARD_WINDOWS = [[7, 'Last 7 days'], [30, 'Last 30 days'], [90, 'Last 90 days']];
+
+function canViewDashboard(username, user=state.currentUser) {
+  return !!user && (user.username === username || isAdmin(user));
+}
+
+function dailyCounts(plays, since, days) {
+  const counts = new Array(days).fill(0);
+  plays.forEach(p=> { const i = Math.floor((p.at - since) / 86400000); if (i >= 0 && i < days) counts[i]++; });
+  return counts;
+}
+
+function createBarChart(values, { mini = false, labelOf = String } = {}) {
+  const el = document.createElement('div'); el.className = mini ? 'bars mini' : 'bars';
+  const max = Math.max(1, ...values);
+  values.forEach((v, i)=> {
+    const bar = el.appendChild(document.createElement('span'));
+    bar.style.height = `${v / max * 100}%`; bar.title = labelOf(v, i);
+  });
+  return el;
+}
+
+function renderDashboard(username) {
+  const area = $('#contentArea'); if (!area) return;
+  const m = state.meta;
+  const user = findUser(username);
+  if (!user) { area.innerHTML = '<p>Artist not found</p>'; return; }
+  if (!canViewDashboard(username)) { area.innerHTML = '<p>Only the artist can see this dashboard</p>'; return; }
+  const days = state.dashboardDays;
+  const today = new Date(); today.setHours(0,0,0,0);
+  const since = today.getTime() - (days - 1) * 86400000;
+  const songs = m.songs.filter(s=>s.artist===username);
+  const ids = new Set(songs.map(s=>s.id));
+  const plays = m.plays.filter(p=>ids.has(p.songId) && p.at >= since);
+  const pct = (r) => r === null ? '—' : `${Math.round(r * 100)}%`;
+  const likesOf = (s) => (m.likes[s.id] || []).length;
+  const dayLabel = (v, i) => `${new Date(since + i * 86400000).toLocaleDateString()}: ${v} play${v === 1 ? '' : 's'}`;
+
+  area.innerHTML = '';
+  area.appendChild(document.createElement('h2')).textContent = `${user.displayName || user.username} · Dashboard`;
+  const filters = document.createElement('div'); filters.className = 'filters';
+  const sel = filters.appendChild(document.createElement('select'));
+  DASHBOARD_WINDOWS.forEach(([value, label])=> {
+    const opt = sel.appendChild(document.createElement('option')); opt.value = value; opt.textContent = label;
+  });
+  sel.value = days;
+  sel.addEventListener('change', ()=> { state.dashboardDays = Number(sel.value); renderDashboard(username); });
+  area.appendChild(filters);
+
+  const stats = document.createElement('div'); stats.className = 'stat-grid';
+  [['Plays', plays.length], ['Listeners', new Set(plays.map(p=>p.user).filter(Boolean)).size], ['Skip rate', pct(skipRate(plays))],
+    ['Likes', songs.reduce((n, s)=> n + likesOf(s), 0)], ['Followers', (m.followers[username] || []).length]].forEach(([label, value])=> {
+    const c = stats.appendChild(document.createElement('div')); c.className = 'stat';
+    c.appendChild(document.createElement('b')).textContent = value;
+    c.appendChild(document.createElement('small')).textContent = label;
+  });
+  area.appendChild(stats);
+  area.appendChild(document.createElement('h3')).textContent = 'Plays per day';
+  area.appendChild(createBarChart(dailyCounts(plays, since, days), { labelOf: dayLabel }));
+
+  area.appendChild(document.createElement('h3')).textContent = 'Tracks';
+  if (songs.length === 0) area.insertAdjacentHTML('beforeend', '<p>No uploads yet</p>');
+  songs.map(s=> ({ s, plays: plays.filter(p=>p.songId===s.id) }))
+    .sort((a, b)=> b.plays.length - a.plays.length)
+    .forEach(({ s, plays: trackPlays })=> {
+      const row = document.createElement('div'); row.className = 'track-row';
+      row.appendChild(document.createElement('div')).textContent = s.title;
+      row.firstChild.style.flex = '1';
+      row.appendChild(createBarChart(dailyCounts(trackPlays, since, days), { mini: true, labelOf: dayLabel }));
+      row.appendChild(document.createElement('small')).textContent = `${trackPlays.length} plays · ${pct(skipRate(trackPlays))} skipped · ${likesOf(s)} likes`;
+      area.appendChild(row);
+    });
+
+  area.appendChild(document.createElement('h3')).textContent = 'Top listeners';
+  const counts = {};
+  plays.forEach(p=> { if (p.user) counts[p.user] = (counts[p.user] || 0) + 1; });
+  const top = Object.entries(counts).sort((a, b)=> b[1] - a[1]).slice(0, 10);
+  if (top.length === 0) area.insertAdjacentHTML('beforeend', '<p>No signed-in listeners in this period</p>');
+  top.forEach(([name, n], i)=> {
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.innerHTML = `<div class="track-no">${i + 1}</div><div style="flex:1"></div><small>${n} play${n === 1 ? '' : 's'}</small>`;
+    row.children[1].textContent = findUser(name)?.displayName || name;
+    row.addEventListener('click', ()=> navigate('profile', name));
+    area.appendChild(row);
+  });
+}
+
 /* Artist page */
 function renderArtist(username) {
   const area = $('#contentArea'); if (!area) return;
-  const user = state.meta.users.find(u=>u.username===username);
+  const m = state.meta;
+  const user = m.users.find(u=>u.username===username);
   if (!user) { area.innerHTML = '<p>Artist not found</p>'; return; }
-  area.innerHTML = `<h2>${user.displayName || user.username} ${user.verified ? '✔' : ''}</h2>`;
-  const followBtn = document.createElement('button');
-  const followers = state.meta.followers[username] || [];
-  followBtn.textContent = (state.currentUser && followers.includes(state.currentUser.username)) ? 'Unfollow' : 'Follow';
-  followBtn.addEventListener('click', ()=> {
-    if (!state.currentUser) { toast('Sign in'); return; }
-    if (followers.includes(state.currentUser.username)) { unfollowUser(username); followBtn.textContent='Follow'; }
-    else { followUser(username); followBtn.textContent='Unfollow'; }
-  });
-  area.appendChild(followBtn);
-
-  const top = state.meta.songs.filter(s=>s.artist===username).slice(0,8);
-  const g = document.createElement('div'); g.className='grid';
-  top.forEach(s=> g.appendChild(createSongCard(s)));
-  area.appendChild(document.createElement('h3')).textContent = 'Top tracks';
-  area.appendChild(g);
+  area.innerHTML = `<div class="artist-header"><img class="artist-image" alt="" /><div><small>Artist</small><h2></h2><p class="artist-bio"></p><small class="artist-followers"></small><div class="artist-actions"></div></div></div>`;
+  const img = area.querySelector('.artist-image');
+  if (user.imageAssetId) idbGet(user.imageAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+  area.querySelector('h2').textContent = `${user.displayName || user.username}${user.verified ? ' ✔' : ''}`;
+  area.querySelector('.artist-bio').textContent = user.bio || '';
+  const followers = m.followers[username] || [];
+  const countEl = area.querySelector('.artist-followers');
+  const showCount = () => { const n = followers.length; countEl.textContent = `${n} follower${n === 1 ? '' : 's'}`; };
+  showCount();
+  const actions = area.querySelector('.artist-actions');
+  if (state.currentUser?.username !== username) {
+    const followBtn = document.createElement('button');
+    followBtn.textContent = (state.currentUser && followers.includes(state.currentUser.username)) ? 'Unfollow' : 'Follow';
+    followBtn.addEventListener('click', ()=> {
+      if (!state.currentUser) { toast('Sign in'); return; }
+      if (followers.includes(state.currentUser.username)) { unfollowUser(username); followBtn.textContent='Follow'; }
+      else { followUser(username); followBtn.textContent='Unfollow'; }
+      showCount();
+    });
+    actions.appendChild(followBtn);
+  }
+  if (canViewDashboard(username)) {
+    const dash = document.createElement('button'); dash.textContent = 'Dashboard';
+    dash.addEventListener('click', ()=> navigate('dashboard', username));
+    actions.appendChild(dash);
+  }
+  if (canEditProfile(user)) {
+    const edit = document.createElement('button'); edit.textContent = 'Edit profile';
+    edit.addEventListener('click', ()=> openProfileEditor(user));
+    actions.appendChild(edit);
+  }
+
+  const songs = m.songs.filter(s=>s.artist===username);
+  if (songs.length === 0) { area.insertAdjacentHTML('beforeend', '<p>No releases yet</p>'); return; }
+
+  // popular: most played first, likes break ties
+  const plays = {};
+  m.plays.forEach(p=> { plays[p.songId] = (plays[p.songId] || 0) + 1; });
+  const popular = songs.slice().sort((a, b)=> (plays[b.id] || 0) - (plays[a.id] || 0) || (m.likes[b.id] || []).length - (m.likes[a.id] || []).length).slice(0, 10);
+  const queue = popular.map(s=>s.id);
+  area.appendChild(document.createElement('h3')).textContent = 'Popular';
+  popular.forEach((s, i)=> {
+    const n = plays[s.id] || 0;
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.innerHTML = `<div class="track-no">${i + 1}</div><div style="flex:1"></div><small>${n} play${n === 1 ? '' : 's'}</small><small>${formatTime(s.duration)}</small><div><button>Play</button></div>`;
+    row.children[1].textContent = s.title;
+    row.querySelector('button').addEventListener('click', ()=> playSong(s.id, queue));
+    row.lastElementChild.appendChild(createAddToPlaylistButton(s.id, '＋ Playlist'));
+    row.lastElementChild.appendChild(createQueueButtons(s.id));
+    area.appendChild(row);
+  });
+
+  // discography: newest album first, tracks in album order
+  area.appendChild(document.createElement('h3')).textContent = 'Discography';
+  const albums = m.albums.filter(a=> a.artist === username && a.tracks.length).sort((a, b)=> (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title));
+  albums.forEach(a=> {
+    const block = document.createElement('div'); block.className = 'discography-album';
+    block.innerHTML = `<img class="cover" alt="cover" /><div style="flex:1"><a></a> <small></small><div class="album-tracks"></div></div>`;
+    if (a.coverAssetId) idbGet(a.coverAssetId).then(b=>{ if (b) block.querySelector('img').src = URL.createObjectURL(b); });
+    const link = block.querySelector('a'); link.href = routeHash('album', a.id); link.textContent = a.title;
+    block.querySelector('small').textContent = `${a.year} · ${a.tracks.length} track${a.tracks.length === 1 ? '' : 's'}`;
+    const list = block.querySelector('.album-tracks');
+    a.tracks.forEach((sid, i)=> {
+      const s = m.songs.find(x=>x.id===sid); if (!s) return;
+      const row = document.createElement('div'); row.className = 'track-row';
+      row.innerHTML = `<div class="track-no">${s.trackNo || i + 1}</div><div style="flex:1"></div><small>${formatTime(s.duration)}</small>`;
+      row.children[1].textContent = s.title;
+      row.addEventListener('dblclick', ()=> playSong(sid, a.tracks));
+      list.appendChild(row);
+    });
+    area.appendChild(block);
+  });
+}
+
+function albumRuntime(album) {
+  return album.tracks.reduce((sum, id)=> sum + (state.meta.songs.find(s=>s.id===id)?.duration || 0), 0);
+}
+
+function formatRuntime(sec) {
+  const m = Math.round(sec / 60);
+  return m >= 60 ? `${Math.floor(m/60)} h ${m%60} min` : `${m} min`;
+}
+
+/* Song page */
+function renderSong(id) {
+  const area = $('#contentArea'); if (!area) return;
+  const m = state.meta;
+  const s = m.songs.find(x=>x.id===id);
+  if (!s) { area.innerHTML = '<p>Song not found</p>'; return; }
+  const album = m.albums.find(a=>a.id===s.albumId);
+  area.innerHTML = `<div class="song-header"><img class="cover" alt="cover" /><div><small>Song</small><h2></h2><div class="song-by"></div><div class="song-badges"></div><small class="song-stats"></small><div class="song-actions"><button class="play">Play</button></div></div></div>`;
+  const img = area.querySelector('img');
+  if (s.coverAssetId) idbGet(s.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
+  area.querySelector('h2').textContent = s.title;
+  const by = area.querySelector('.song-by');
+  by.append(createArtistLink(s.artist));
+  if (album) {
+    const a = document.createElement('a'); a.href = routeHash('album', album.id); a.textContent = album.title;
+    by.append(' · ', a);
+  }
+  const badges = area.querySelector('.song-badges');
+  [s.explicit ? 'Explicit' : '', s.genre, s.language].filter(Boolean).forEach(b=> { const el = badges.appendChild(document.createElement('span')); el.className = 'badge'; el.textContent = b; });
+  const plays = m.plays.filter(p=>p.songId===s.id).length;
+  const likes = (m.likes[s.id] || []).length;
+  area.querySelector('.song-stats').textContent = [formatTime(s.duration), s.uploadedAt ? `Uploaded ${new Date(s.uploadedAt).toLocaleDateString()}` : '',
+    `${plays} play${plays === 1 ? '' : 's'}`, `${likes} like${likes === 1 ? '' : 's'}`].filter(Boolean).join(' · ');
+  const actions = area.querySelector('.song-actions');
+  actions.querySelector('.play').addEventListener('click', ()=> playSong(s.id, album ? album.tracks : [s.id]));
+  actions.appendChild(createAddToPlaylistButton(s.id, '＋ Playlist'));
+  actions.appendChild(createQueueButtons(s.id));
+  if (canEditSong(s)) actions.appendChild(createEditSongButton(s.id));
+
+  if (hasCredits(s)) {
+    area.appendChild(document.createElement('h3')).textContent = 'Credits';
+    const dl = area.appendChild(document.createElement('dl')); dl.className = 'credits';
+    Object.entries(CREDIT_ROLES).forEach(([role, label])=> {
+      const names = s.credits[role] || []; if (!names.length) return;
+      dl.appendChild(document.createElement('dt')).textContent = label;
+      const dd = dl.appendChild(document.createElement('dd'));
+      // names that are accounts here link to their artist page
+      names.forEach((n, i)=> { if (i) dd.append(', '); dd.append(findUser(n) ? createArtistLink(n) : n); });
+    });
+  }
+
+  const row = (title, songs) => {
+    if (!songs.length) return;
+    area.appendChild(document.createElement('h3')).textContent = title;
+    const g = area.appendChild(document.createElement('div')); g.className = 'grid';
+    songs.forEach(x=> g.appendChild(createSongCard(x)));
+  };
+  row('More by this artist', m.songs.filter(x=> x.artist === s.artist && x.id !== s.id).sort((a, b)=> (b.uploadedAt || 0) - (a.uploadedAt || 0)).slice(0, 8));
+  row('Similar tracks', similarSongs(s.id));
+
+  area.appendChild(document.createElement('h3')).textContent = 'Comments';
+  const thread = area.appendChild(document.createElement('div'));
+  thread.className = 'comments';
+  renderComments(thread, s);
+}
+
+// seconds into the song the listener is at, when it's the one playing
+function songPosition(songId) {
+  const a = state.player.audioEl;
+  return state.player.currentSongId === songId && a ? Math.floor(a.currentTime || 0) : null;
+}
+
+function seekSongTo(song, time) {
+  const a = state.player.audioEl;
+  if (state.player.currentSongId === song.id && a) { a.currentTime = time; if (a.paused) togglePlay(); drawScrubbers(); return; }
+  playSong(song.id, [song.id], { start: time });
+}
+
+function renderComments(root, song) {
+  root.innerHTML = '';
+  const me = state.currentUser;
+  const rerender = (res) => { if (res && !res.ok) { toast(res.msg); return; } renderComments(root, song); };
+
+  // compose box; replyTo puts it under a comment
+  const composer = (parentId=null) => {
+    const form = document.createElement('div'); form.className = 'comment-form';
+    form.innerHTML = `<textarea rows="2" maxlength="${MAX_COMMENT_LENGTH}"></textarea>
+      <div class="comment-form-actions">${parentId ? '' : '<label>At <input class="comment-time" placeholder="m:ss" /></label>'}<button class="send"></button></div>`;
+    const text = form.querySelector('textarea');
+    text.placeholder = parentId ? 'Write a reply…' : 'Leave feedback for the artist…';
+    form.querySelector('.send').textContent = parentId ? 'Reply' : 'Comment';
+    const timeInput = form.querySelector('.comment-time');
+    // prefill the position when this song is the one playing
+    if (timeInput) text.addEventListener('focus', ()=> { const pos = songPosition(song.id); if (!timeInput.value && pos !== null) timeInput.value = formatTime(pos); }, { once: true });
+    form.querySelector('.send').addEventListener('click', ()=> {
+      const raw = timeInput?.value.trim() || '';
+      const time = parseTimestamp(raw);
+      if (raw && time === null) { toast('Use m:ss for the timestamp'); return; }
+      rerender(addComment(song.id, text.value, { time, parentId }));
+    });
+    return form;
+  };
+
+  const item = (c, isReply) => {
+    const el = document.createElement('div');
+    el.className = 'comment' + (isReply ? ' reply' : '') + (c.hidden ? ' hidden-comment' : '') + (c.pinned ? ' pinned' : '');
+    el.innerHTML = `<div class="comment-head"><b></b> <small class="comment-meta"></small></div><div class="comment-text"></div><div class="comment-actions"></div>`;
+    const author = findUser(c.user);
+    el.querySelector('b').textContent = author?.displayName || c.user || 'Deleted user';
+    const meta = el.querySelector('.comment-meta');
+    meta.textContent = [c.pinned ? '📌 Pinned' : '', new Date(c.at).toLocaleString(), c.editedAt ? 'edited' : '', c.hidden ? 'hidden' : ''].filter(Boolean).join(' · ');
+    if (c.time !== null && c.time !== undefined) {
+      const stamp = document.createElement('button'); stamp.className = 'comment-time-link';
+      stamp.textContent = formatTime(c.time); stamp.title = 'Play from here';
+      stamp.addEventListener('click', ()=> seekSongTo(song, c.time));
+      el.querySelector('.comment-head').appendChild(stamp);
+    }
+    el.querySelector('.comment-text').textContent = c.deleted ? '[deleted]' : c.text;
+    const actions = el.querySelector('.comment-actions');
+    const action = (label, fn) => { const b = document.createElement('button'); b.textContent = label; b.addEventListener('click', fn); actions.appendChild(b); };
+    if (c.deleted) return el;
+    if (me && !isReply) action('Reply', ()=> {
+      if (el.querySelector('.comment-form')) return;
+      el.appendChild(composer(c.id)).querySelector('textarea').focus();
+    });
+    if (me?.username === c.user) {
+      action('Edit', ()=> {
+        const box = el.querySelector('.comment-text');
+        const input = document.createElement('textarea'); input.rows = 2; input.maxLength = MAX_COMMENT_LENGTH; input.value = c.text;
+        const save = document.createElement('button'); save.textContent = 'Save';
+        save.addEventListener('click', ()=> rerender(editComment(c.id, input.value)));
+        box.replaceChildren(input, save);
+        input.focus();
+      });
+    }
+    if (me && (me.username === c.user || isAdmin(me))) {
+      action(me.username === c.user ? 'Delete' : 'Remove', ()=> { if (confirm('Delete this comment?')) rerender(deleteComment(c.id)); });
+    }
+    if (isSongArtist(song)) {
+      if (!isReply) action(c.pinned ? 'Unpin' : 'Pin', ()=> rerender(pinComment(c.id, !c.pinned)));
+      action(c.hidden ? 'Unhide' : 'Hide', ()=> rerender(hideComment(c.id, !c.hidden)));
+    }
+    return el;
+  };
+
+  const hiddenItem = () => {
+    const el = document.createElement('div'); el.className = 'comment hidden-comment';
+    el.innerHTML = '<div class="comment-text"><small>This comment was hidden by the artist</small></div>';
+    return el;
+  };
+
+  if (me) root.appendChild(composer());
+  else root.insertAdjacentHTML('beforeend', '<p><small>Sign in to leave a comment</small></p>');
+  const threads = songComments(song.id);
+  if (threads.length === 0) root.insertAdjacentHTML('beforeend', '<p>No comments yet</p>');
+  threads.forEach(({ comment, masked, replies })=> {
+    const el = root.appendChild(masked ? hiddenItem() : item(comment, false));
+    replies.forEach(r=> el.appendChild(item(r, true)));
+  });
 }
 
 /* Album page */
@@ -758,13 +4728,29 @@ function renderAlbum(id) {
   const img = document.createElement('img'); img.style.width='240px'; img.style.height='240px';
   idbGet(a.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
   area.appendChild(img);
-  const t = document.createElement('div'); t.textContent = `By ${a.artist} — ${a.year}`; area.appendChild(t);
+  const t = document.createElement('div');
+  t.append('By ', createArtistLink(a.artist), ` — ${a.year} · ${a.tracks.length} track${a.tracks.length === 1 ? '' : 's'}, ${formatRuntime(albumRuntime(a))}`);
+  area.appendChild(t);
+  if (canEditAlbum(a)) {
+    const edit = document.createElement('button'); edit.textContent = 'Edit album';
+    edit.addEventListener('click', ()=> openAlbumEditor(a.id));
+    area.appendChild(edit);
+  }
   const list = document.createElement('div');
-  a.tracks.forEach(sid=>{
+  const multiDisc = new Set(a.tracks.map(sid=> state.meta.songs.find(x=>x.id===sid)?.discNo || 1)).size > 1;
+  let disc = null;
+  a.tracks.forEach((sid, i)=>{
     const s = state.meta.songs.find(x=>x.id===sid);
-    const row = document.createElement('div'); row.style.display='flex'; row.style.gap='12px';
-    row.innerHTML = `<div style="flex:1">${s? s.title : sid}</div><div><button>Play</button></div>`;
+    if (multiDisc && s && (s.discNo || 1) !== disc) {
+      disc = s.discNo || 1;
+      list.appendChild(document.createElement('h4')).textContent = `Disc ${disc}`;
+    }
+    const row = document.createElement('div'); row.className = 'track-row';
+    row.innerHTML = `<div class="track-no">${s?.trackNo || i+1}</div><div style="flex:1">${escapeHtml(s? s.title : sid)}</div><small>${formatTime(s?.duration)}</small><div><button>Play</button></div>`;
     row.querySelector('button').addEventListener('click', ()=> playSong(sid, a.tracks));
+    if (s) row.lastElementChild.appendChild(createAddToPlaylistButton(sid, '＋ Playlist'));
+    if (s) row.lastElementChild.appendChild(createQueueButtons(sid));
+    if (canEditSong(s)) row.lastElementChild.appendChild(createEditSongButton(sid));
     list.appendChild(row);
   });
   area.appendChild(list);
@@ -775,26 +4761,118 @@ function renderProfile(username) {
   const user = state.meta.users.find(u=>u.username===username);
   const area = $('#contentArea'); if (!area) return;
   if (!user) { area.innerHTML = '<p>Profile not found</p>'; return; }
-  area.innerHTML = `<h2>${user.displayName}</h2>`;
+  area.innerHTML = '<h2></h2>';
+  area.querySelector('h2').textContent = user.displayName || user.username;
   const img = document.createElement('img'); img.style.width='160px'; img.style.height='160px';
   if (user.imageAssetId) idbGet(user.imageAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
   area.appendChild(img);
   area.appendChild(document.createElement('p')).textContent = user.bio || '';
-  const editBtn = document.createElement('button'); editBtn.textContent = 'Edit profile';
-  editBtn.addEventListener('click', ()=> openProfileEditor(user));
-  area.appendChild(editBtn);
+  const artistBtn = document.createElement('button'); artistBtn.textContent = 'Artist page';
+  artistBtn.addEventListener('click', ()=> navigate('artist', user.username));
+  area.appendChild(artistBtn);
+  if (canEditProfile(user)) {
+    const editBtn = document.createElement('button'); editBtn.textContent = 'Edit profile';
+    editBtn.addEventListener('click', ()=> openProfileEditor(user));
+    area.appendChild(editBtn);
+  }
+}
+
+/* Admin console */
+function renderAdmin() {
+  const area = $('#contentArea'); if (!area) return;
+  if (!isAdmin()) { area.innerHTML = '<p>Admins only</p>'; return; }
+  const m = state.meta;
+  area.innerHTML = '<h2>Admin</h2>';
+  const when = (t) => new Date(t).toLocaleString();
+  // buttons: [label, async () => {ok, msg}]; every action re-renders the console
+  const row = (html, buttons=[]) => {
+    const r = document.createElement('div'); r.className = 'track-row';
+    r.innerHTML = `<div style="flex:1">${html}</div>`;
+    const actions = document.createElement('div');
+    buttons.forEach(([label, fn])=> {
+      const b = document.createElement('button'); b.textContent = label;
+      b.addEventListener('click', async ()=> {
+        const res = await fn(); if (!res) return;
+        if (!res.ok) toast(res.msg);
+        renderAdmin();
+      });
+      actions.appendChild(b);
+    });
+    r.appendChild(actions);
+    return r;
+  };
+  const section = (title) => { area.appendChild(document.createElement('h3')).textContent = title; return area.appendChild(document.createElement('div')); };
+
+  const open = m.reports.filter(r=>r.status==='open');
+  const reports = section(`Reports (${open.length} open)`);
+  if (open.length === 0) reports.innerHTML = '<p>Nothing to review</p>';
+  open.forEach(r=> {
+    const s = m.songs.find(x=>x.id===r.songId);
+    reports.appendChild(row(`<b>${escapeHtml(r.songTitle)}</b> ${s ? `<small>by ${escapeHtml(s.artist)}</small>` : ''}<br><small>${escapeHtml(r.reporter)} · ${when(r.at)} · ${escapeHtml(r.reason)}</small>`, [
+      ...(s ? [['Play', async ()=> { playSong(s.id, [s.id]); }]] : []),
+      ['Remove song', ()=> confirm(`Remove “${r.songTitle}” and its files?`) && resolveReport(r.id, 'remove')],
+      ['Dismiss', ()=> resolveReport(r.id, 'dismiss')]
+    ]));
+  });
+
+  const users = section('Users');
+  m.users.forEach(u=> {
+    const tags = [u.superAdmin ? 'Super admin' : u.admin ? 'Admin' : '', u.verified ? 'Verified' : '', u.suspended ? 'Suspended' : ''].filter(Boolean);
+    const buttons = [];
+    if (canModerate(u)) {
+      buttons.push([u.verified ? 'Unverify' : 'Verify', async ()=> setUserVerified(u.username, !u.verified)]);
+      buttons.push(u.suspended ? ['Unsuspend', async ()=> setUserSuspended(u.username, false)]
+        : ['Suspend', async ()=> { const why = prompt(`Suspend ${u.username}? Reason:`); return why === null ? null : setUserSuspended(u.username, true, why); }]);
+    }
+    if (state.currentUser.superAdmin && !u.superAdmin) buttons.push([u.admin ? 'Revoke admin' : 'Make admin', async ()=> setUserAdmin(u.username, !u.admin)]);
+    if (canModerate(u)) buttons.push(['Delete', ()=> confirm(`Delete ${u.username} with all their songs and playlists?`) && deleteUser(u.username)]);
+    users.appendChild(row(`<b>${escapeHtml(u.displayName || u.username)}</b> <small>@${escapeHtml(u.username)} · ${m.songs.filter(s=>s.artist===u.username).length} songs</small>
+      ${tags.map(t=>`<span class="badge">${t}</span>`).join('')}`, buttons));
+  });
+
+  const songs = section('Songs');
+  m.songs.forEach(s=> {
+    songs.appendChild(row(`${escapeHtml(s.title)} <small>— ${escapeHtml(s.artist)}</small>`, [
+      ['Remove', ()=> confirm(`Remove “${s.title}” and its files?`) && adminRemoveSong(s.id)]
+    ]));
+  });
+
+  const log = section('Audit log');
+  const entries = m.auditLog.slice(-200).reverse();
+  if (entries.length === 0) log.innerHTML = '<p>No actions yet</p>';
+  entries.forEach(e=> {
+    log.appendChild(row(`<small>${when(e.at)}</small> <b>${escapeHtml(e.actor || '—')}</b> ${escapeHtml(e.action)} ${escapeHtml(e.target)}${e.detail ? ` <small>(${escapeHtml(e.detail)})</small>` : ''}`));
+  });
 }
 
 /* ---------------------------
    Small UI helpers
    --------------------------- */
+// link to a route; clicks don't reach the card or row underneath
+function createRouteLink(route, param, text) {
+  const a = document.createElement('a'); a.className = 'artist-link';
+  a.href = routeHash(route, param);
+  a.textContent = text;
+  a.addEventListener('click', (e)=> e.stopPropagation());
+  a.addEventListener('dblclick', (e)=> e.stopPropagation());
+  return a;
+}
+
+function createArtistLink(username) { return createRouteLink('artist', username, findUser(username)?.displayName || username); }
+
 function createSongCard(s) {
   const card = document.createElement('div'); card.className='card';
   const img = document.createElement('img'); img.alt='cover';
   if (s.coverAssetId) idbGet(s.coverAssetId).then(b=>{ if (b) img.src = URL.createObjectURL(b); });
-  const t = document.createElement('div'); t.textContent = s.title;
-  const a = document.createElement('small'); a.textContent = s.artist;
+  const t = document.createElement('div'); t.appendChild(createRouteLink('song', s.id, s.title));
+  const a = document.createElement('small'); a.appendChild(createArtistLink(s.artist));
   card.appendChild(img); card.appendChild(t); card.appendChild(a);
+  card.appendChild(createRatingWidget(s));
+  card.appendChild(createAddToPlaylistButton(s.id));
+  card.appendChild(createQueueButtons(s.id));
+  card.appendChild(createDislikeButton(s.id));
+  card.appendChild(createReportButton(s.id));
+  if (canEditSong(s)) card.appendChild(createEditSongButton(s.id));
   card.addEventListener('dblclick', ()=> {
     // build a queue of all songs and start this one
     const q = state.meta.songs.map(x=>x.id);
@@ -814,17 +4892,23 @@ function renderAuthArea() {
     area.appendChild(loginBtn); area.appendChild(signupBtn);
   } else {
     const el = document.createElement('div'); el.textContent = state.currentUser.displayName || state.currentUser.username;
+    const pwBtn = document.createElement('button'); pwBtn.textContent='Password';
+    pwBtn.addEventListener('click', ()=> openChangePasswordModal());
     const logout = document.createElement('button'); logout.textContent='Logout';
-    logout.addEventListener('click', ()=> { logoutUser(); renderMainRoute(); });
+    logout.addEventListener('click', ()=> { logoutUser(); renderUserMini(); renderMainRoute(); });
     el.style.display='inline-block'; el.style.marginRight='8px';
-    area.appendChild(el); area.appendChild(logout);
+    area.appendChild(el); area.appendChild(pwBtn); area.appendChild(logout);
   }
 }
 
 function renderUserMini() {
   const el = $('#userMini'); if (!el) return;
   if (!state.currentUser) el.textContent = 'Not signed in';
-  else el.textContent = state.currentUser.displayName || state.currentUser.username;
+  else el.replaceChildren(Object.assign(document.createElement('a'), {
+    className: 'artist-link', href: routeHash('profile', state.currentUser.username), textContent: state.currentUser.displayName || state.currentUser.username
+  }));
+  $('.nav-btn[data-route="admin"]')?.classList.toggle('hidden', !isAdmin());
+  updateNotificationBadge();
 }
 
 /* ---------------------------
@@ -840,10 +4924,10 @@ function openLoginModal() {
     </div></div>`;
   document.body.appendChild(modal);
   modal.querySelector('#loginCancel').addEventListener('click', ()=> document.body.removeChild(modal));
-  modal.querySelector('#loginSubmit').addEventListener('click', ()=> {
+  modal.querySelector('#loginSubmit').addEventListener('click', async ()=> {
     const user = modal.querySelector('#loginUser').value;
     const pass = modal.querySelector('#loginPass').value;
-    const res = loginUser(user, pass);
+    const res = await loginUser(user, pass);
     if (res.ok) { document.body.removeChild(modal); renderUserMini(); renderMainRoute(); }
     else alert(res.msg);
   });
@@ -860,47 +4944,141 @@ function openSignupModal() {
     </div></div>`;
   document.body.appendChild(modal);
   modal.querySelector('#suCancel').addEventListener('click', ()=> document.body.removeChild(modal));
-  modal.querySelector('#suSubmit').addEventListener('click', ()=> {
+  modal.querySelector('#suSubmit').addEventListener('click', async ()=> {
     const user = modal.querySelector('#suUser').value;
     const pass = modal.querySelector('#suPass').value;
     const name = modal.querySelector('#suName').value;
-    const res = registerUser(user, pass, name);
+    const res = await registerUser(user, pass, name);
     if (res.ok) { toast('Registered'); document.body.removeChild(modal); }
     else alert(res.msg);
   });
 }
 
+// forced: shown after signing in with a password that must be replaced; cannot be dismissed
+function openChangePasswordModal({ forced = false } = {}) {
+  const user = state.currentUser; if (!user) return;
+  const modal = document.createElement('div'); modal.className='modal';
+  modal.innerHTML = `<div class="modal-inner"><h3>Change password</h3>
+    ${forced ? '<p>You are still using the default password. Choose a new one to continue.</p>' : ''}
+    <label>Current password: <input id="cpOld" type="password" /></label>
+    <label>New password: <input id="cpNew" type="password" /></label>
+    <label>Repeat new password: <input id="cpNew2" type="password" /></label>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+      ${forced ? '<button id="cpLogout">Sign out</button>' : '<button id="cpCancel">Cancel</button>'}<button id="cpSubmit">Change</button>
+    </div></div>`;
+  document.body.appendChild(modal);
+  modal.querySelector('#cpCancel')?.addEventListener('click', ()=> modal.remove());
+  modal.querySelector('#cpLogout')?.addEventListener('click', ()=> { modal.remove(); logoutUser(); renderUserMini(); renderMainRoute(); });
+  modal.querySelector('#cpSubmit').addEventListener('click', async ()=> {
+    const oldPw = modal.querySelector('#cpOld').value;
+    const newPw = modal.querySelector('#cpNew').value;
+    if (newPw !== modal.querySelector('#cpNew2').value) { alert('Passwords do not match'); return; }
+    const res = await changePassword(user, oldPw, newPw);
+    if (res.ok) { toast('Password changed'); modal.remove(); }
+    else alert(res.msg);
+  });
+}
+
 /* ---------------------------
    Profile editor
    --------------------------- */
 function openProfileEditor(user) {
+  if (!canEditProfile(user)) { toast('You can only edit your own profile'); return; }
   const modal = document.createElement('div'); modal.className='modal';
+  // user text goes in through .value only, never into the markup
   modal.innerHTML = `<div class="modal-inner"><h3>Edit profile</h3>
-    <label>Display name: <input id="edName" value="${escapeHtml(user.displayName||'')}" /></label>
-    <label>Bio: <textarea id="edBio">${escapeHtml(user.bio||'')}</textarea></label>
+    <label>Display name: <input id="edName" /></label>
+    <label>Bio: <textarea id="edBio"></textarea></label>
     <label>Profile image: <input id="edImage" type="file" accept="image/*" /></label>
     <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
       <button id="edCancel">Cancel</button><button id="edSave">Save</button>
     </div></div>`;
   document.body.appendChild(modal);
+  modal.querySelector('#edName').value = user.displayName || '';
+  modal.querySelector('#edBio').value = user.bio || '';
   modal.querySelector('#edCancel').addEventListener('click', ()=> document.body.removeChild(modal));
-  modal.querySelector('#edSave').addEventListener('click', async ()=> {
-    user.displayName = modal.querySelector('#edName').value;
-    user.bio = modal.querySelector('#edBio').value;
-    const file = modal.querySelector('#edImage').files[0];
-    if (file) {
-      const img = await fileToImage(file);
-      const blob = await imageToBlob(img);
-      const aid = `image:user:${user.id}`;
-      await idbPut(aid, blob);
-      user.imageAssetId = aid;
-    }
-    saveMeta(state.meta);
+  modal.querySelector('#edSave').addEventListener('click', async (e)=> {
+    e.target.disabled = true;
+    const res = await updateProfile(user.username, {
+      displayName: modal.querySelector('#edName').value, bio: modal.querySelector('#edBio').value
+    }, modal.querySelector('#edImage').files[0] || null).catch(err=> { console.error(err); return {ok:false, msg:'Saving the profile failed'}; });
+    if (!res.ok) { alert(res.msg); e.target.disabled = false; return; }
     document.body.removeChild(modal);
-    renderUserMini(); renderProfile(user.username);
+    renderUserMini(); renderAuthArea(); renderMainRoute();
   });
 }
 
+/* ---------------------------
+   Offline & updates: service worker (sw.js) registration and the "update available" prompt
+   --------------------------- */
+const SW_UPDATE_INTERVAL = 3600000; // also look for a new version hourly in long-running tabs
+const SW_BASELINE_RETRY = 60000; // offline with no baseline yet: ask the server again this soon
+const SHELL_FILES = ['index.html', 'script.js', 'style.css'];
+let shellVersion = null; // the shell files' ETag/Last-Modified as loaded by this tab
+let shellBaselineRetry = null;
+
+// fromCache: the copies the worker stored while serving this page (online or not); otherwise the server's, via HEAD
+// requests that go past the worker. null when a file is missing or the server sends no validators
+async function shellValidators(fromCache) {
+  const res = await Promise.all(SHELL_FILES.map(f=> fromCache ? caches.match(f) : fetch(f, { method: 'HEAD', cache: 'no-cache' })));
+  if (res.some(r=> !r || !r.ok)) return null;
+  const v = res.map(r=> r.headers.get('ETag') || r.headers.get('Last-Modified') || '').join('|');
+  return v.replace(/\|/g, '') ? v : null;
+}
+
+// the worker serves the shell network-first, so a reload picks up a deploy; this tells open tabs one happened
+async function checkShellVersion() {
+  clearTimeout(shellBaselineRetry);
+  try {
+    if (shellVersion === null) shellVersion = ('caches' in window && await shellValidators(true)) || await shellValidators(false);
+    else {
+      const v = await shellValidators(false);
+      if (v && v !== shellVersion) showUpdatePrompt();
+    }
+  } catch (e) {
+    console.warn('update check', e);
+    if (shellVersion === null) shellBaselineRetry = setTimeout(checkShellVersion, SW_BASELINE_RETRY); // offline
+  }
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  let reloading = false;
+  // the new worker took over after "Reload": load the page it serves
+  navigator.serviceWorker.addEventListener('controllerchange', ()=> { if (reloading) return; reloading = true; location.reload(); });
+  navigator.serviceWorker.register('sw.js').then(reg=> {
+    // a first install has no controller yet: nothing to update from
+    const offer = (worker) => { if (worker && navigator.serviceWorker.controller) showUpdatePrompt(worker); };
+    offer(reg.waiting);
+    reg.addEventListener('updatefound', ()=> {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', ()=> { if (worker.state === 'installed') offer(worker); });
+    });
+    setInterval(()=> reg.update().catch(()=>{}), SW_UPDATE_INTERVAL);
+  }).catch(e=> console.warn('service worker', e));
+  checkShellVersion();
+  setInterval(checkShellVersion, SW_UPDATE_INTERVAL);
+}
+
+// worker: a new service worker waiting to take over; without one the page just reloads into the new files
+function showUpdatePrompt(worker=null) {
+  const bar = $('#updateBanner'); if (!bar) return;
+  bar.classList.remove('hidden');
+  $('#updateLater').onclick = ()=> bar.classList.add('hidden');
+  $('#updateReload').onclick = async (e)=> {
+    const btn = e.currentTarget; btn.disabled = true;
+    try {
+      // keep the queue, position and pending metadata across the reload
+      savePlayerState({ now: true });
+      await metaSaveChain;
+      if (worker) worker.postMessage({ type: 'SKIP_WAITING' }); else location.reload();
+    } catch (err) {
+      console.error('update reload', err); toast('Could not save before reloading, try again');
+      btn.disabled = false;
+    }
+  };
+}
+
 /* ---------------------------
    Small helpers
    --------------------------- */
@@ -911,23 +5089,25 @@ function escapeHtml(s) { return (s||'').replace(/[&<>"']/g, (m)=>({'&':'&amp;','
    --------------------------- */
 (async function bootstrap(){
   try {
-    state.meta = loadMeta();
-    ensureSuperAdmin();
+    state.meta = await loadMeta();
+    await ensureSuperAdmin();
     await createSampleAssetsIfEmpty();
+    const restored = restoreSession();
     initPlayer();
+    await restorePlayerState();
     // wire upload modal open
-    $('#uploadClose')?.addEventListener('click', ()=> $('#uploadModal').classList.add('hidden'));
-    $('#uploadModal')?.addEventListener('click', (e)=> { if (e.target === $('#uploadModal')) $('#uploadModal').classList.add('hidden'); });
+    $('#uploadClose')?.addEventListener('click', closeUploadModal);
+    $('#uploadModal')?.addEventListener('click', (e)=> { if (e.target === $('#uploadModal')) closeUploadModal(); });
     $('#uploadModal') && $('#uploadModal').classList.add('hidden');
     $('#uploadBtn')?.addEventListener('click', openUploadModal);
-    // open upload from nav
-    $all('.nav-btn').forEach(b=> { if (b.dataset.route==='upload') b.addEventListener('click', openUploadModal); });
 
     // attach upload modal controls
     $('#uploadForm')?.addEventListener('submit', (e)=> e.preventDefault());
 
     render();
+    if (restored && restored.mustChangePassword) openChangePasswordModal({ forced: true });
   } catch(e) {
     console.error('Bootstrap failed', e);
   }
+  registerServiceWorker();
 })();
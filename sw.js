@@ -0,0 +1,57 @@
+/* ---------------------------
+   Service worker: caches the app shell so the app installs and opens offline.
+   Audio, covers and metadata already live in IndexedDB.
+   Shell files are fetched network-first, so a deploy shows up on the next load
+   without touching this file; the cache only answers when the network can't.
+   --------------------------- */
+const CACHE_VERSION = 'v2'; // bump only when the cache layout changes
+const CACHE_PREFIX = 'rankrates-shell-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+const SHELL = [
+  './',
+  './index.html',
+  './style.css',
+  './script.js',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+const SHELL_URLS = new Set(SHELL.map(url=> new URL(url, self.location).href));
+
+self.addEventListener('install', (e)=> {
+  // no skipWaiting here: the new version waits until the page agrees to reload
+  e.waitUntil(caches.open(CACHE_NAME).then(cache=> cache.addAll(SHELL.map(url=> new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e)=> {
+  e.waitUntil(caches.keys()
+    .then(keys=> Promise.all(keys.filter(k=> k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k=> caches.delete(k))))
+    .then(()=> self.clients.claim()));
+});
+
+self.addEventListener('message', (e)=> {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// fresh responses replace the cached copy; offline, the last one is served
+async function networkFirst(req, key) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(key, { ignoreSearch: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+// pages (any #/route) are index.html; other shell files are cached under their own URL
+self.addEventListener('fetch', (e)=> {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+  if (req.mode === 'navigate') { e.respondWith(networkFirst(req, './index.html')); return; }
+  const url = new URL(req.url); url.search = '';
+  if (SHELL_URLS.has(url.href)) e.respondWith(networkFirst(req, req));
+});